@@ -1,3 +1,38 @@
+export type ErrorMatcher = {
+  codes?: string[];
+  classes?: string[];
+  predicate?: (error: Error, code: string) => boolean;
+};
+
+export type ErrorRedaction = {
+  builtInPatterns?: boolean;
+  patterns?: RegExp[];
+  extensions?: string[];
+  redact?: (message: string, error: Error) => string;
+};
+
+export type QueryLiteralAllowlist = {
+  paths?: string[];
+  types?: string[];
+  enums?: boolean;
+  directive?: string;
+};
+
+export type NamingStrategy = 'full'|'operationName'|'rootFields'|'signatureHash'|((operationDetails: {
+  operationType: string;
+  operationName?: string;
+  deepestUniquePath?: string;
+  rootFields?: string[];
+  signature?: string;
+  signatureHash?: string;
+}) => string|null|undefined);
+
+export type TransactionNaming = NamingStrategy|{
+  strategy?: NamingStrategy;
+  rules?: { pattern: RegExp|string; replacement?: string }[];
+  nameAnonymousBySignature?: boolean;
+};
+
 export type NRPluginConfig = {
   captureScalars?: boolean;
   captureIntrospectionQueries?: boolean;
@@ -6,6 +41,38 @@ export type NRPluginConfig = {
   customResolverAttributes?: Function|null;
   customOperationAttributes?: Function|null;
   captureFieldMetrics?: boolean;
+  maxResolverSegments?: number|null;
+  maxResolverDepth?: number|null;
+  aggregateListResolvers?: boolean;
+  resolverSampleRate?: number;
+  resolverSampleRateOverrides?: Record<string, number>|null;
+  nPlusOneThreshold?: number|null;
+  captureDeprecatedUsage?: boolean;
+  clientNameHeader?: string;
+  clientVersionHeader?: string;
+  clientInfoExtractor?: Function|null;
+  captureClientMetrics?: boolean;
+  defaultFieldResolver?: Function|null;
+  maxClientNames?: number;
+  captureOperationEvents?: boolean;
+  operationEventSampleRate?: number;
+  maxOperationEventsPerMinute?: number;
+  expectedErrors?: ErrorMatcher|null;
+  ignoredErrors?: ErrorMatcher|null;
+  errorRedaction?: ErrorRedaction|null;
+  deduplicateErrors?: boolean;
+  transactionNaming?: TransactionNaming;
+  maxTransactionNames?: number;
+  queryCapture?: 'obfuscated'|'raw'|'off';
+  maxQueryLength?: number;
+  queryLiteralAllowlist?: QueryLiteralAllowlist|null;
+  persistedQueryManifest?: {
+    operations: { id: string; name: string; type: string; body?: string }[];
+  }|null;
 };
 
 export default function createPlugin<T>(config?: NRPluginConfig): T;
+
+export function instrumentSubscribe<T extends Function>(subscribe: T, config?: NRPluginConfig): T;
+
+export function instrumentDataLoader<T extends Function>(DataLoader: T): T;
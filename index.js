@@ -7,7 +7,11 @@
 
 const newrelic = require('newrelic')
 const createPlugin = require('./lib/create-plugin')
+const instrumentSubscribe = require('./lib/subscriptions')
+const instrumentDataLoader = require('./lib/dataloader')
 
 // TODO: need to grab instrumentation API from agent via
 // supported means that will not disappear when agent disabled.
 module.exports = createPlugin.bind(null, newrelic)
+module.exports.instrumentSubscribe = instrumentSubscribe.bind(null, newrelic)
+module.exports.instrumentDataLoader = instrumentDataLoader.bind(null, newrelic)
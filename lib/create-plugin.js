@@ -6,23 +6,65 @@
 'use strict'
 
 const ErrorHelper = require('./error-helper.js')
+const { ANON_PLACEHOLDER, flattenPath, getFields } = require('./graphql-utils')
 const errorHelper = new ErrorHelper()
-const cleanQuery = require('./query-utils')
+const {
+  captureQuery,
+  getMaxQueryLength,
+  getQueryCapture,
+  getQueryLiteralAllowlist
+} = require('./query-utils')
+const findDeprecatedUsage = require('./deprecated-usage')
+const { getRootType, recordSchemaChange } = require('./schema')
+const { createEventBudget, recordOperationEvent } = require('./operation-events')
+const { getErrorRedaction } = require('./error-redaction')
+const {
+  createClientNaming,
+  createOperationNaming,
+  getRootFields,
+  getTransactionNaming,
+  nameClient,
+  nameOperation,
+  registerOperationName
+} = require('./transaction-naming')
+const { getOperationSignature, getSignatureHash } = require('./operation-signature')
 
 const NOTICED_ERRORS = ErrorHelper.NOTICED_ERRORS
-
-const ANON_PLACEHOLDER = '<anonymous>'
+const PHASE_ERROR_CODE = ErrorHelper.PHASE_ERROR_CODE
 
 const CATEGORY = 'GraphQL'
 const FRAMEWORK = 'ApolloServer'
 const OPERATION_PREFIX = CATEGORY + '/operation/' + FRAMEWORK
 const RESOLVE_PREFIX = CATEGORY + '/resolve/' + FRAMEWORK
+const PARSE_SEGMENT_NAME = CATEGORY + '/parse/' + FRAMEWORK
+const VALIDATE_SEGMENT_NAME = CATEGORY + '/validate/' + FRAMEWORK
+const DEFER_PREFIX = CATEGORY + '/defer/' + FRAMEWORK
+const STREAM_PREFIX = CATEGORY + '/stream/' + FRAMEWORK
 const ARG_PREFIX = `${CATEGORY}/arg/${FRAMEWORK}`
 const FIELD_PREFIX = `${CATEGORY}/field/${FRAMEWORK}`
 const TYPED_RESOLVE_PREFIX = CATEGORY + '/typedResolve/' + FRAMEWORK
+const NPLUSONE_PREFIX = CATEGORY + '/nplusone/' + FRAMEWORK
+const CACHED_OPERATION_PREFIX = CATEGORY + '/cachedOperation/' + FRAMEWORK
+const COMPLEXITY_PREFIX = CATEGORY + '/complexity/' + FRAMEWORK
+const DEPRECATED_PREFIX = CATEGORY + '/deprecated/' + FRAMEWORK
+const CLIENT_PREFIX = CATEGORY + '/client'
+const ERRORS_PREFIX = CATEGORY + '/errors/' + FRAMEWORK
+const EXPECTED_ERRORS_PREFIX = CATEGORY + '/expectedErrors/' + FRAMEWORK
+const IGNORED_ERRORS_PREFIX = CATEGORY + '/ignoredErrors/' + FRAMEWORK
 const BATCH_PREFIX = 'batch'
 
 const DEFAULT_OPERATION_NAME = `${OPERATION_PREFIX}/<unknown>`
+const VALIDATION_FAILED_OPERATION_NAME = `${OPERATION_PREFIX}/validationError`
+
+const VALIDATION_FAILED_CODE = 'GRAPHQL_VALIDATION_FAILED'
+
+// Transaction names of requests that never resolved an operation.
+const UNRESOLVED_TRANSACTION_NAMES = {
+  GRAPHQL_PARSE_FAILED: `${CATEGORY}/parseError`,
+  [VALIDATION_FAILED_CODE]: `${CATEGORY}/validationError`,
+  PERSISTED_QUERY_NOT_FOUND: `${CATEGORY}/persistedQueryNotFound`
+}
+const INVALID_REQUEST_TRANSACTION_NAME = `${CATEGORY}/invalidRequest`
 
 const FIELD_NAME_ATTR = 'graphql.field.name'
 const RETURN_TYPE_ATTR = 'graphql.field.returnType'
@@ -32,16 +74,91 @@ const FIELD_ARGS_ATTR = 'graphql.field.args'
 const OPERATION_TYPE_ATTR = 'graphql.operation.type'
 const OPERATION_NAME_ATTR = 'graphql.operation.name'
 const OPERATION_QUERY_ATTR = 'graphql.operation.query'
+const OPERATION_SIGNATURE_ATTR = 'graphql.operation.signature'
+const OPERATION_SIGNATURE_HASH_ATTR = 'graphql.operation.signatureHash'
+const SUBSEQUENT_PAYLOADS_ATTR = 'graphql.operation.subsequentPayloads'
+const INCREMENTAL_DURATION_ATTR = 'graphql.operation.incrementalDuration'
+const INCREMENTAL_LABEL_ATTR = 'graphql.incremental.label'
+const INCREMENTAL_PATH_ATTR = 'graphql.incremental.path'
+const SUPPRESSED_RESOLVERS_ATTR = 'graphql.operation.suppressedResolverSegments'
+const RESOLVERS_SAMPLED_ATTR = 'graphql.operation.resolversSampled'
+const CACHE_MAX_AGE_ATTR = 'graphql.cache.maxAge'
+const CACHE_SCOPE_ATTR = 'graphql.cache.scope'
+const RESPONSE_CACHE_HIT_ATTR = 'graphql.cache.responseCacheHit'
+const FIELD_CACHE_MAX_AGE_ATTR = 'graphql.field.cacheMaxAge'
+const FIELD_CACHE_SCOPE_ATTR = 'graphql.field.cacheScope'
+const COMPLEXITY_ATTRS = {
+  depth: 'graphql.operation.depth',
+  fieldCount: 'graphql.operation.fieldCount',
+  aliasCount: 'graphql.operation.aliasCount',
+  fragmentCount: 'graphql.operation.fragmentCount',
+  listNesting: 'graphql.operation.listNesting'
+}
+const SCHEMA_HASH_ATTR = 'graphql.schema.hash'
+const DEPRECATED_USAGE_ATTR = 'graphql.operation.deprecatedUsage'
+const CLIENT_NAME_ATTR = 'graphql.client.name'
+const CLIENT_VERSION_ATTR = 'graphql.client.version'
+const PERSISTED_QUERY_HASH_ATTR = 'graphql.persistedQuery.hash'
+const PERSISTED_QUERY_STATUS_ATTR = 'graphql.persistedQuery.status'
+const PERSISTED_QUERY_ERROR_ATTR = 'graphql.persistedQuery.error'
+const NPLUSONE_PATH_ATTR = 'graphql.nplusone.path'
+const NPLUSONE_COUNT_ATTR = 'graphql.nplusone.count'
+const CALL_COUNT_ATTR = 'graphql.field.callCount'
+const MIN_DURATION_ATTR = 'graphql.field.minDuration'
+const MAX_DURATION_ATTR = 'graphql.field.maxDuration'
+const TOTAL_DURATION_ATTR = 'graphql.field.totalDuration'
+const ERROR_COUNT_ATTR = 'graphql.field.errorCount'
 
 const INTROSPECTION_TYPES = ['__schema', '__type']
+const EXTERNAL_CALL_PREFIXES = ['Datastore/', 'External/']
 const IGNORED_PATH_FIELDS = ['id', '__typename']
 const SERVICE_DEFINITION_QUERY_NAME = '__ApolloGetServiceDefinition__'
 const HEALTH_CHECK_QUERY_NAME = '__ApolloServiceHealthCheck__'
+// Sent by Apollo Client and used by Apollo Studio client awareness.
+const CLIENT_NAME_HEADER = 'apollographql-client-name'
+const CLIENT_VERSION_HEADER = 'apollographql-client-version'
+const PERSISTED_QUERY_ERROR_CODES = [
+  'PERSISTED_QUERY_NOT_FOUND',
+  'PERSISTED_QUERY_NOT_SUPPORTED',
+  'PERSISTED_QUERY_NOT_IN_LIST'
+]
+
+// Leaves room within the default agent limit of 3000 custom events per harvest.
+const MAX_OPERATION_EVENTS_PER_MINUTE = 1000
 
 const DESTINATIONS = {
-  NONE: 0x00
+  NONE: 0x00,
+  TRANS_COMMON: 0x07
 }
 
+// Resolver state keyed by operation segment, such as the segment budget
+// and N+1 tracking. It is recorded when the operation segment is.
+const resolverStates = new WeakMap()
+
+// Segment each resolver segment is nested under, used to nest work
+// scheduled outside of the resolver, such as DataLoader batches.
+const resolverParents = new WeakMap()
+
+// Name of the client that sent the operation keyed by operation segment,
+// used for per-client operation metrics.
+const operationClients = new WeakMap()
+
+// Number of errors sent in the response by error metric name, keyed
+// by operation segment. These are recorded when the operation segment is.
+const operationErrorCounts = new WeakMap()
+
+// Deepest unique path of the operation keyed by operation segment,
+// recorded on operation events as names may not include it.
+const operationPaths = new WeakMap()
+
+// Operation segments whose full response came from a response cache.
+// These are recorded under their own metric rollup.
+const cachedResponses = new WeakSet()
+
+// Aggregated list item resolves keyed by the segment they are nested
+// under, then by resolve path.
+const resolveAggregates = new WeakMap()
+
 /* eslint sonarjs/cognitive-complexity: ["error", 57] -- TODO: https://issues.newrelic.com/browse/NEWRELIC-8797 */
 /**
  * Creates an Apollo Server plugin for capturing timing data
@@ -66,12 +183,75 @@ function createPlugin(api, config = {}) {
   config.customResolverAttributes = config.customResolverAttributes || null
   config.customOperationAttributes = config.customOperationAttributes || null
   config.captureFieldMetrics = config.captureFieldMetrics || false
+  config.maxResolverSegments = config.maxResolverSegments || null
+  config.maxResolverDepth = config.maxResolverDepth || null
+  config.aggregateListResolvers = config.aggregateListResolvers || false
+  config.resolverSampleRate = getSampleRate(config.resolverSampleRate)
+  config.resolverSampleRateOverrides = config.resolverSampleRateOverrides || null
+  config.nPlusOneThreshold = config.nPlusOneThreshold || null
+  config.persistedQueryManifest = config.persistedQueryManifest || null
+  config.captureDeprecatedUsage = config.captureDeprecatedUsage || false
+  config.clientNameHeader = config.clientNameHeader || CLIENT_NAME_HEADER
+  config.clientVersionHeader = config.clientVersionHeader || CLIENT_VERSION_HEADER
+  config.clientInfoExtractor = config.clientInfoExtractor || null
+  config.captureClientMetrics = config.captureClientMetrics || false
+  config.captureOperationEvents = config.captureOperationEvents || false
+  config.expectedErrors = ErrorHelper.getErrorMatcher(config.expectedErrors)
+  config.ignoredErrors = ErrorHelper.getErrorMatcher(config.ignoredErrors)
+  config.errorRedaction = getErrorRedaction(config.errorRedaction)
+  config.deduplicateErrors = config.deduplicateErrors === true
+  config.transactionNaming = getTransactionNaming(config.transactionNaming, logger)
+  config.queryCapture = getQueryCapture(config.queryCapture, logger)
+  config.maxQueryLength = getMaxQueryLength(config.maxQueryLength)
+  config.queryLiteralAllowlist = getQueryLiteralAllowlist(config.queryLiteralAllowlist)
+  config.operationEventSampleRate = getSampleRate(config.operationEventSampleRate)
+  config.maxOperationEventsPerMinute =
+    config.maxOperationEventsPerMinute || MAX_OPERATION_EVENTS_PER_MINUTE
+
+  const persistedOperations = getPersistedOperations(config.persistedQueryManifest)
 
   logger.debug('Plugin configuration: ', config)
 
   createModuleUsageMetric(instrumentationApi.agent)
 
+  // Details of the schema last loaded, shared by all requests.
+  const schemaState = { details: null }
+
+  // Sampling and cap of `GraphQLOperation` events, shared by all requests.
+  const eventBudget = createEventBudget(config)
+
+  // Distinct operation names produced, shared by all requests.
+  const operationNaming = createOperationNaming({
+    config,
+    agent: instrumentationApi.agent,
+    logger
+  })
+
+  // Distinct client names in per-client metrics, shared by all requests.
+  const clientNaming = createClientNaming({
+    config,
+    agent: instrumentationApi.agent,
+    logger
+  })
+
   return {
+    serverWillStart(serverContext) {
+      // Apollo Server 2 does not support `schemaDidLoadOrUpdate`. Later versions
+      // invoke it with the same schema on start, which is then ignored.
+      recordSchemaChange({ api, logger, schemaState, schema: serverContext?.schema })
+
+      return {
+        schemaDidLoadOrUpdate({ apiSchema, coreSupergraphSdl }) {
+          recordSchemaChange({
+            api,
+            logger,
+            schemaState,
+            schema: apiSchema,
+            isSupergraph: !!coreSupergraphSdl
+          })
+        }
+      }
+    },
     requestDidStart(requestContext) {
       logger.trace('Begin requestDidStart')
 
@@ -86,7 +266,7 @@ function createPlugin(api, config = {}) {
       // back to back and we'd prefer those not nest with each-other.
       const operationSegment = instrumentationApi.createSegment(
         DEFAULT_OPERATION_NAME,
-        recordOperationSegment,
+        recordSegment,
         requestParent
       )
 
@@ -97,9 +277,62 @@ function createPlugin(api, config = {}) {
 
       operationSegment.start()
 
+      if (schemaState.details) {
+        operationSegment.addAttribute(SCHEMA_HASH_ATTR, schemaState.details.hash)
+      }
+
+      addClientAttributes({
+        instrumentationApi,
+        requestContext,
+        config,
+        operationSegment,
+        clientNaming
+      })
+
+      const resolversSampled = shouldSampleResolvers(requestContext, config, operationSegment)
+
+      // Tracks the payloads sent after the initial response when
+      // using incremental delivery (@defer / @stream).
+      let incrementalDelivery = null
+      const endIncrementalDelivery = () =>
+        endIncrementalOperation({
+          api,
+          config,
+          logger,
+          eventBudget,
+          operationSegment,
+          incrementalDelivery
+        })
+
       return {
+        parsingDidStart() {
+          return startPhaseSegment({
+            instrumentationApi,
+            logger,
+            operationSegment,
+            requestContext,
+            name: PARSE_SEGMENT_NAME,
+            errorCode: 'GRAPHQL_PARSE_FAILED'
+          })
+        },
+        validationDidStart() {
+          return startPhaseSegment({
+            instrumentationApi,
+            logger,
+            operationSegment,
+            requestContext,
+            name: VALIDATE_SEGMENT_NAME,
+            errorCode: VALIDATION_FAILED_CODE
+          })
+        },
         didResolveOperation(resolveContext) {
-          updateOperationSegmentName(resolveContext, operationSegment)
+          updateOperationSegmentName({
+            context: resolveContext,
+            operationSegment,
+            operationNaming,
+            config
+          })
+          maybeRecordDeprecatedUsage({ config, resolveContext, operationSegment })
           if (shouldIgnoreTransaction(resolveContext.operation, config, logger)) {
             const activeSegment = instrumentationApi.getActiveSegment()
             if (activeSegment) {
@@ -113,8 +346,19 @@ function createPlugin(api, config = {}) {
           // operation segment as active while setting the error to appropriately assign
           // error attributes for any errors we've not noticed on field resolve.
           instrumentationApi.applySegment(function addErrors() {
-            errorHelper.addErrorsFromApolloRequestContext(instrumentationApi, errorsRequestContext)
+            errorHelper.addErrorsFromApolloRequestContext(
+              instrumentationApi,
+              errorsRequestContext,
+              config
+            )
           }, operationSegment)
+
+          countOperationErrors({
+            config,
+            operationSegment,
+            errors: errorsRequestContext.errors,
+            defaultCode: errorsRequestContext[PHASE_ERROR_CODE]
+          })
         },
         executionDidStart() {
           // Needed for proper sub-graph external call nesting with federation gateway.
@@ -122,112 +366,563 @@ function createPlugin(api, config = {}) {
           // hit didResolveOperation back to back.
           instrumentationApi.setActiveSegment(operationSegment)
 
+          if (!resolversSampled) {
+            logger.trace('Resolvers not sampled for operation. Not recording resolvers.')
+            // Older Apollo Server versions do not filter out null execution listeners.
+            return {}
+          }
+
           return {
             willResolveField(resolverContext) {
-              const { info, args } = resolverContext
-              const pathArray = flattenToArray(info.path)
-              const formattedPath = pathArray.reverse().join('.')
-              const flattenedArgs = flattenArgs({ obj: args })
-
-              maybeCaptureFieldMetrics({ operationSegment, info, args: flattenedArgs, config })
-
-              if (!config.captureScalars && !isTopLevelField(info) && isScalar(info)) {
-                return null
-              }
-
-              const currentSeg = instrumentationApi.getActiveSegment()
-
-              // Nest everything under operation as resolvers start/finish
-              // in order but instrumentation such as promise tracking might
-              // try to treat as nested.
-              const resolverSegment = instrumentationApi.createSegment(
-                `${RESOLVE_PREFIX}/${info.fieldName}`,
-                recordResolveSegment,
-                operationSegment
-              )
-
-              if (!resolverSegment) {
-                logger.trace('Resolver segment was not created (%s).', formattedPath)
-
-                return null
-              }
-
-              resolverSegment.start()
-              instrumentationApi.setActiveSegment(resolverSegment)
-
-              resolverSegment.name = `${RESOLVE_PREFIX}/${formattedPath}`
-              resolverSegment.addAttribute(FIELD_PATH_ATTR, formattedPath)
-              resolverSegment.addAttribute(FIELD_NAME_ATTR, info.fieldName)
-              resolverSegment.addAttribute(RETURN_TYPE_ATTR, info.returnType.toString())
-              resolverSegment.addAttribute(PARENT_TYPE_ATTR, info.parentType.toString())
-
-              if (instrumentationApi.isFunction(config.customResolverAttributes)) {
-                const customAttributes = config.customResolverAttributes(resolverContext)
-                api.addCustomAttributes(customAttributes)
-              }
-
-              // Like our http and framework instrumentation, we add
-              // the attributes on the operation segment. We also add
-              // the attributes to resolver segments as they help
-              // inform performance impacts.
-              for (const segment of [operationSegment, resolverSegment]) {
-                for (const [key, value] of Object.entries(flattenedArgs)) {
-                  // Require adding to attribute 'include' configuration
-                  // so as not to accidentally send sensitive info to New Relic.
-                  segment.attributes.addAttribute(
-                    DESTINATIONS.NONE,
-                    `${FIELD_ARGS_ATTR}.${key}`,
-                    value
-                  )
-                }
-              }
-
-              return (error) => {
-                if (error) {
-                  // This handler is invoked prior to didEncounterErrors
-                  // which means we need to handle the error now to capture
-                  // in context of the appropriate span.
-                  errorHelper.noticeError(instrumentationApi, error)
-                  requestContext[NOTICED_ERRORS] = requestContext[NOTICED_ERRORS] || []
-                  requestContext[NOTICED_ERRORS].push(error)
-                }
-
-                resolverSegment.end()
-                instrumentationApi.setActiveSegment(currentSeg)
-              }
+              return startResolverSegment({
+                api,
+                config,
+                logger,
+                operationSegment,
+                parentSegment: operationSegment,
+                resolverContext,
+                requestContext
+              })
             }
           }
         },
         willSendResponse(responseContext) {
           // check if operation segment was never updated from default name
-          // If so, try to rename before setting the transaction name to `*`
+          // If so, try to rename before naming the transaction by why it failed
           if (operationSegment.name === DEFAULT_OPERATION_NAME) {
-            const updated = updateOperationSegmentName(responseContext, operationSegment)
+            const updated =
+              updateOperationSegmentName({
+                context: responseContext,
+                operationSegment,
+                operationNaming,
+                config
+              }) ||
+              updatePersistedOperationName({
+                context: responseContext,
+                operationSegment,
+                persistedOperations,
+                operationNaming
+              })
             if (!updated) {
-              setTransactionName(operationSegment.transaction, '*')
+              setTransactionName(
+                operationSegment.transaction,
+                getUnresolvedTransactionName(responseContext)
+              )
             }
           }
 
+          addPersistedQueryAttributes(responseContext, operationSegment)
+
           if (instrumentationApi.isFunction(config.customOperationAttributes)) {
             const customAttributes = config.customOperationAttributes(responseContext)
             api.addCustomAttributes(customAttributes)
           }
 
-          operationSegment.end()
+          addCacheAttributes(responseContext, operationSegment)
+
+          const errorCount = countErrors(responseContext.errors)
+
+          // Deferred and streamed resolvers are still executing, the
+          // operation ends once the final subsequent payload is sent.
+          if (isIncrementalResponse(responseContext)) {
+            incrementalDelivery = {
+              initialTime: Date.now(),
+              lastTime: Date.now(),
+              payloadCount: 0,
+              errorCount,
+              ended: false
+            }
+            endOnSubsequentResultsDone(responseContext.response.body, endIncrementalDelivery)
+            logger.trace('End willSendResponse, awaiting subsequent payloads')
+            return
+          }
+
+          endOperationSegment(operationSegment)
+          maybeRecordOperationEvent({
+            api,
+            config,
+            logger,
+            eventBudget,
+            operationSegment,
+            errorCount
+          })
 
           logger.trace('End willSendResponse')
+        },
+        willSendSubsequentPayload(subsequentContext, payload) {
+          if (!incrementalDelivery) {
+            return
+          }
+
+          recordSubsequentPayload({
+            instrumentationApi,
+            operationSegment,
+            incrementalDelivery,
+            payload
+          })
+
+          if (!payload.hasNext) {
+            endIncrementalDelivery()
+            logger.trace('End willSendSubsequentPayload, final payload sent')
+          }
+        },
+        didEncounterSubsequentErrors(subsequentContext, errors) {
+          recordSubsequentErrors({
+            instrumentationApi,
+            config,
+            operationSegment,
+            requestContext: subsequentContext,
+            errors
+          })
         }
       }
     }
   }
 }
 
-function getOperationDetails(responseContext) {
+/**
+ * Creates and starts a segment for a single field resolve, adding field
+ * attributes and args to the resolver and operation segments.
+ *
+ * @param {Object} params
+ * @param {Object} params.api New Relic API
+ * @param {Object} params.config plugin config
+ * @param {Object} params.logger plugin logger
+ * @param {Object} params.operationSegment operation segment
+ * @param {Object} params.parentSegment segment to nest the resolver segment under
+ * @param {Object} params.resolverContext resolver context passed to `willResolveField`
+ * @param {Object} params.requestContext context used to track errors noticed at resolve
+ * @returns {Function|null} callback to end the resolver segment, accepting any resolve error
+ */
+function startResolverSegment({
+  api,
+  config,
+  logger,
+  operationSegment,
+  parentSegment,
+  resolverContext,
+  requestContext
+}) {
+  const instrumentationApi = api.shim
+  const { info, args } = resolverContext
+  const pathArray = flattenPath(info.path).filter((key) => typeof key !== 'number')
+  const formattedPath = pathArray.join('.')
+  const flattenedArgs = flattenArgs({ obj: args })
+
+  maybeCaptureFieldMetrics({ operationSegment, info, args: flattenedArgs, config })
+
+  if (!config.captureScalars && !isTopLevelField(info) && isScalar(info)) {
+    return null
+  }
+
+  const resolverState = getResolverState(operationSegment)
+  resolverState.resolveCount++
+
+  // Sibling list items share a path so they join the
+  // aggregate segment of the first item resolved.
+  const aggregates =
+    config.aggregateListResolvers &&
+    isListItemPath(info.path) &&
+    getResolveAggregates(parentSegment)
+  if (aggregates && aggregates.has(formattedPath)) {
+    return joinResolveAggregate({
+      instrumentationApi,
+      config,
+      aggregate: aggregates.get(formattedPath),
+      info,
+      requestContext
+    })
+  }
+
+  if (isOverResolverBudget(resolverState, config, pathArray)) {
+    resolverState.suppressedCount++
+
+    logger.trace('Resolver segment budget exceeded, not creating segment (%s).', formattedPath)
+
+    return startSuppressedResolve({
+      instrumentationApi,
+      config,
+      resolverState,
+      info,
+      requestContext
+    })
+  }
+
+  const currentSeg = instrumentationApi.getActiveSegment()
+
+  const aggregate = aggregates ? createResolveAggregate(info, formattedPath, resolverState) : null
+
+  // Nest everything under operation (or subscription event) as resolvers
+  // start/finish in order but instrumentation such as promise tracking might
+  // try to treat as nested.
+  const resolverSegment = instrumentationApi.createSegment(
+    `${RESOLVE_PREFIX}/${info.fieldName}`,
+    aggregate
+      ? (segment, scope) => recordResolveAggregate(segment, scope, aggregate)
+      : recordResolveSegment,
+    parentSegment
+  )
+
+  if (!resolverSegment) {
+    logger.trace('Resolver segment was not created (%s).', formattedPath)
+
+    return null
+  }
+
+  resolverState.segmentCount++
+
+  resolverSegment.start()
+  resolverParents.set(resolverSegment, parentSegment)
+
+  if (aggregate) {
+    aggregate.segment = resolverSegment
+    aggregates.set(formattedPath, aggregate)
+  }
+
+  instrumentationApi.setActiveSegment(resolverSegment)
+
+  resolverSegment.name = `${RESOLVE_PREFIX}/${formattedPath}`
+  resolverSegment.addAttribute(FIELD_PATH_ATTR, formattedPath)
+  resolverSegment.addAttribute(FIELD_NAME_ATTR, info.fieldName)
+  resolverSegment.addAttribute(RETURN_TYPE_ATTR, info.returnType.toString())
+  resolverSegment.addAttribute(PARENT_TYPE_ATTR, info.parentType.toString())
+
+  if (instrumentationApi.isFunction(config.customResolverAttributes)) {
+    const customAttributes = config.customResolverAttributes(resolverContext)
+    api.addCustomAttributes(customAttributes)
+  }
+
+  // Like our http and framework instrumentation, we add
+  // the attributes on the operation segment. We also add
+  // the attributes to resolver segments as they help
+  // inform performance impacts.
+  for (const segment of [operationSegment, resolverSegment]) {
+    for (const [key, value] of Object.entries(flattenedArgs)) {
+      // Require adding to attribute 'include' configuration
+      // so as not to accidentally send sensitive info to New Relic.
+      segment.attributes.addAttribute(DESTINATIONS.NONE, `${FIELD_ARGS_ATTR}.${key}`, value)
+    }
+  }
+
+  if (aggregate) {
+    // Active segment is already the aggregate segment.
+    instrumentationApi.setActiveSegment(currentSeg)
+    return joinResolveAggregate({ instrumentationApi, config, aggregate, info, requestContext })
+  }
+
+  return (error) => {
+    if (error) {
+      noticeResolveError({ instrumentationApi, config, requestContext, error, info })
+    }
+
+    addCacheHintAttributes(resolverSegment, info)
+
+    resolverSegment.end()
+    instrumentationApi.setActiveSegment(currentSeg)
+
+    if (config.nPlusOneThreshold && hasExternalCall(resolverSegment.children)) {
+      trackExternalCallResolve({
+        config,
+        resolverState,
+        path: formattedPath,
+        fieldName: info.fieldName,
+        parentType: info.parentType.toString(),
+        duration: resolverSegment.getDurationInMillis()
+      })
+    }
+  }
+}
+
+function hasExternalCall(segments) {
+  return segments.some(
+    (segment) =>
+      EXTERNAL_CALL_PREFIXES.some((prefix) => segment.name.startsWith(prefix)) ||
+      hasExternalCall(segment.children)
+  )
+}
+
+/**
+ * Counts resolves of a path that made datastore or external calls, flagging
+ * the path as an N+1 once the count exceeds the configured threshold.
+ *
+ * @param {Object} params
+ * @param {PluginConfig} params.config plugin config
+ * @param {Object} params.resolverState resolver state of the operation
+ * @param {string} params.path resolve path without list indices
+ * @param {string} params.fieldName name of the resolved field
+ * @param {string} params.parentType type of the parent of the resolved field
+ * @param {number} params.duration duration of the resolve in milliseconds
+ */
+function trackExternalCallResolve({
+  config,
+  resolverState,
+  path,
+  fieldName,
+  parentType,
+  duration
+}) {
+  let externalCalls = resolverState.externalCalls.get(path)
+  if (!externalCalls) {
+    externalCalls = { fieldName, parentType, count: 0, totalDuration: 0, detected: false }
+    resolverState.externalCalls.set(path, externalCalls)
+  }
+
+  externalCalls.count++
+  externalCalls.totalDuration += duration
+  externalCalls.detected = externalCalls.count > config.nPlusOneThreshold
+}
+
+/**
+ * Gets the segment a resolver segment is nested under, i.e. the operation
+ * segment or subscription event segment.
+ *
+ * @param {Object} segment resolver segment
+ * @returns {Object|undefined} parent segment, if segment is a resolver segment
+ */
+function getResolverParentSegment(segment) {
+  return resolverParents.get(segment)
+}
+
+function isListItemPath(fieldPath) {
+  let thisPath = fieldPath
+  while (thisPath) {
+    if (typeof thisPath.key === 'number') {
+      return true
+    }
+    thisPath = thisPath.prev
+  }
+
+  return false
+}
+
+function getResolveAggregates(parentSegment) {
+  let aggregates = resolveAggregates.get(parentSegment)
+  if (!aggregates) {
+    aggregates = new Map()
+    resolveAggregates.set(parentSegment, aggregates)
+  }
+
+  return aggregates
+}
+
+function createResolveAggregate(info, path, resolverState) {
+  return {
+    segment: null,
+    path,
+    resolverState,
+    fieldName: info.fieldName,
+    parentType: info.parentType.toString(),
+    durations: [],
+    minDuration: null,
+    maxDuration: 0,
+    totalDuration: 0,
+    errorCount: 0
+  }
+}
+
+/**
+ * Times a single list item resolve as part of an aggregate segment. The
+ * aggregate segment spans from the first item resolve start until the last
+ * item resolve end, with attributes summarizing the individual resolves.
+ *
+ * @param {Object} params
+ * @param {Object} params.instrumentationApi New Relic instrumentation API
+ * @param {PluginConfig} params.config plugin config
+ * @param {Object} params.aggregate aggregate state of the resolve path
+ * @param {Object} params.info resolve info passed to the resolver
+ * @param {Object} params.requestContext context used to track errors noticed at resolve
+ * @returns {Function} callback to end the resolve, accepting any resolve error
+ */
+function joinResolveAggregate({ instrumentationApi, config, aggregate, info, requestContext }) {
+  const { segment } = aggregate
+  const start = process.hrtime()
+  // Children added while this item resolves are attributed to it.
+  const childCount = segment.children.length
+
+  const currentSeg = instrumentationApi.getActiveSegment()
+  instrumentationApi.setActiveSegment(segment)
+
+  return (error) => {
+    const duration = getDurationInMillis(start)
+
+    aggregate.durations.push(duration)
+    aggregate.totalDuration += duration
+    aggregate.minDuration =
+      aggregate.minDuration === null ? duration : Math.min(aggregate.minDuration, duration)
+    aggregate.maxDuration = Math.max(aggregate.maxDuration, duration)
+
+    if (error) {
+      aggregate.errorCount++
+      noticeResolveError({ instrumentationApi, config, requestContext, error, info })
+    }
+
+    // More items may resolve later so the segment is extended rather than ended.
+    segment.touch()
+    segment.addAttribute(CALL_COUNT_ATTR, aggregate.durations.length)
+    segment.addAttribute(MIN_DURATION_ATTR, aggregate.minDuration)
+    segment.addAttribute(MAX_DURATION_ATTR, aggregate.maxDuration)
+    segment.addAttribute(TOTAL_DURATION_ATTR, aggregate.totalDuration)
+    segment.addAttribute(ERROR_COUNT_ATTR, aggregate.errorCount)
+
+    instrumentationApi.setActiveSegment(currentSeg)
+
+    if (config.nPlusOneThreshold && hasExternalCall(segment.children.slice(childCount))) {
+      trackExternalCallResolve({
+        config,
+        resolverState: aggregate.resolverState,
+        path: aggregate.path,
+        fieldName: aggregate.fieldName,
+        parentType: aggregate.parentType,
+        duration
+      })
+    }
+  }
+}
+
+function getDurationInMillis(start) {
+  const [seconds, nanoseconds] = process.hrtime(start)
+  return seconds * 1e3 + nanoseconds / 1e6
+}
+
+/**
+ * Ends the operation segment, adding the number of resolver
+ * segments that were suppressed by the resolver segment budget.
+ *
+ * @param {Object} operationSegment operation segment
+ */
+function endOperationSegment(operationSegment) {
+  const resolverState = resolverStates.get(operationSegment)
+  if (resolverState && resolverState.suppressedCount > 0) {
+    operationSegment.addAttribute(SUPPRESSED_RESOLVERS_ATTR, resolverState.suppressedCount)
+  }
+
+  const nPlusOne = resolverState && findWorstNPlusOne(resolverState)
+  if (nPlusOne) {
+    operationSegment.addAttribute(NPLUSONE_PATH_ATTR, nPlusOne.path)
+    operationSegment.addAttribute(NPLUSONE_COUNT_ATTR, nPlusOne.count)
+  }
+
+  operationSegment.end()
+}
+
+/**
+ * Finds the detected N+1 path with the most resolves making
+ * datastore or external calls.
+ *
+ * @param {Object} resolverState resolver state of the operation
+ * @returns {Object|null} path and count of the worst N+1, if any detected
+ */
+function findWorstNPlusOne(resolverState) {
+  let worst = null
+  resolverState.externalCalls.forEach(({ count, detected }, path) => {
+    if (detected && (!worst || count > worst.count)) {
+      worst = { path, count }
+    }
+  })
+
+  return worst
+}
+
+/**
+ * Resets the resolver segment budget of a subscription for its next event,
+ * adding the number of resolves suppressed during the event to its segment.
+ *
+ * @param {Object} operationSegment subscription operation segment
+ * @param {Object} [eventSegment] segment of the event that just executed
+ */
+function resetResolverBudget(operationSegment, eventSegment) {
+  const resolverState = resolverStates.get(operationSegment)
+  if (!resolverState) {
+    return
+  }
+
+  if (eventSegment && resolverState.suppressedCount > 0) {
+    eventSegment.addAttribute(SUPPRESSED_RESOLVERS_ATTR, resolverState.suppressedCount)
+  }
+
+  resolverState.segmentCount = 0
+  resolverState.suppressedCount = 0
+}
+
+function getResolverState(operationSegment) {
+  let resolverState = resolverStates.get(operationSegment)
+  if (!resolverState) {
+    resolverState = {
+      resolveCount: 0,
+      segmentCount: 0,
+      suppressedCount: 0,
+      suppressedResolves: [],
+      externalCalls: new Map()
+    }
+    resolverStates.set(operationSegment, resolverState)
+  }
+
+  return resolverState
+}
+
+function isOverResolverBudget(resolverState, config, pathArray) {
+  if (config.maxResolverSegments && resolverState.segmentCount >= config.maxResolverSegments) {
+    return true
+  }
+
+  if (config.maxResolverDepth) {
+    // list indices are not part of the path so do not add depth
+    return pathArray.length > config.maxResolverDepth
+  }
+
+  return false
+}
+
+/**
+ * Times a resolve that exceeded the resolver segment budget. No segment is
+ * created but the timing is kept to record resolve metrics along with the
+ * operation segment.
+ *
+ * @param {Object} params
+ * @param {Object} params.instrumentationApi New Relic instrumentation API
+ * @param {PluginConfig} params.config plugin config
+ * @param {Object} params.resolverState resolver state of the operation
+ * @param {Object} params.info resolve info passed to the resolver
+ * @param {Object} params.requestContext context used to track errors noticed at resolve
+ * @returns {Function} callback to end the resolve, accepting any resolve error
+ */
+function startSuppressedResolve({
+  instrumentationApi,
+  config,
+  resolverState,
+  info,
+  requestContext
+}) {
+  const start = process.hrtime()
+
+  return (error) => {
+    if (error) {
+      noticeResolveError({ instrumentationApi, config, requestContext, error, info })
+    }
+
+    resolverState.suppressedResolves.push({
+      fieldName: info.fieldName,
+      parentType: info.parentType.toString(),
+      duration: getDurationInMillis(start)
+    })
+  }
+}
+
+function noticeResolveError({ instrumentationApi, config, requestContext, error, info }) {
+  // This handler is invoked prior to didEncounterErrors
+  // which means we need to handle the error now to capture
+  // in context of the appropriate span.
+  errorHelper.noticeError(instrumentationApi, error, { info, config, requestContext })
+  requestContext[NOTICED_ERRORS] = requestContext[NOTICED_ERRORS] || []
+  requestContext[NOTICED_ERRORS].push(error)
+}
+
+function getOperationDetails(responseContext, config) {
   if (!responseContext.document) {
     return null
   }
 
-  return getDetailsFromDocument(responseContext)
+  return getDetailsFromDocument(responseContext, config)
 }
 
 function isScalar(fieldInfo) {
@@ -251,7 +946,7 @@ function isNonNullScalarType(returnType) {
 
 function isTopLevelField(fieldInfo) {
   const parentName = fieldInfo.parentType.name
-  return parentName === 'Query' || parentName === 'Mutation'
+  return parentName === 'Query' || parentName === 'Mutation' || parentName === 'Subscription'
 }
 
 /**
@@ -265,39 +960,46 @@ function findOperationDefinition(definitions) {
   return definitions.find((definition) => definition.kind === 'OperationDefinition')
 }
 
-function getDetailsFromDocument(responseContext) {
-  const definition = findOperationDefinition(responseContext.document.definitions)
+function findFragmentDefinitions(definitions) {
+  const fragments = Object.create(null)
+  definitions.forEach((definition) => {
+    if (definition.kind === 'FragmentDefinition') {
+      fragments[definition.name.value] = definition
+    }
+  })
+
+  return fragments
+}
 
-  const pathAndArgs = getDeepestPathAndQueryArguments(definition)
+function getDetailsFromDocument(responseContext, config) {
+  const { definitions } = responseContext.document
+  const definition = findOperationDefinition(definitions)
+  const fragments = findFragmentDefinitions(definitions)
 
-  // always use context.source so we can get both queries and persisted queries
+  const pathAndComplexity = getDeepestPathAndComplexity(definition, {
+    fragments,
+    schema: responseContext.schema
+  })
+
+  // context.source is only used in `raw` mode, the obfuscated query is printed from the document
   // see: https://github.com/apollographql/apollo-server/blob/2bccec2c5f5adaaf785f13ab98b6e52e22d5b22e/packages/apollo-server-core/src/requestPipeline.ts#L232
-  const query = cleanQuery(responseContext.source, pathAndArgs.argLocations)
+  const query = captureQuery(responseContext, config)
 
-  const deepestUniquePath = pathAndArgs.deepestPath
+  const deepestUniquePath = pathAndComplexity.deepestPath
 
   const definitionName = definition.name && definition.name.value
+  const signature = getOperationSignature(definition, fragments)
 
   return {
     operationType: definition.operation,
     operationName: definitionName,
     deepestUniquePath: deepestUniquePath.join('.'),
-    cleanedQuery: query
-  }
-}
-
-function flattenToArray(fieldPath) {
-  const pathArray = []
-
-  let thisPath = fieldPath
-  while (thisPath) {
-    if (typeof thisPath.key !== 'number') {
-      pathArray.push(thisPath.key)
-    }
-    thisPath = thisPath.prev
+    rootFields: getRootFields(definition, fragments),
+    signature,
+    signatureHash: getSignatureHash(signature),
+    cleanedQuery: query,
+    complexity: pathAndComplexity.complexity
   }
-
-  return pathArray
 }
 
 /**
@@ -343,6 +1045,33 @@ function setTransactionName(transaction, transactionName) {
   }
 }
 
+/**
+ * Names requests that never resolved a document, such as syntax errors,
+ * persisted query misses and requests without a query, by their outcome.
+ * Landing pages are served before any plugin is invoked, so a `GET` without
+ * a query reaching the plugin is an invalid request too.
+ *
+ * @param {Object} responseContext request context passed to `willSendResponse`
+ * @returns {string} transaction name
+ */
+function getUnresolvedTransactionName(responseContext) {
+  const errorCodes = (responseContext.errors || []).map((error) =>
+    ErrorHelper.getErrorCode(error, null)
+  )
+  // Apollo Server 2 and 3 only add codes to parse and validation errors when formatting.
+  errorCodes.unshift(responseContext[PHASE_ERROR_CODE])
+
+  const code = errorCodes.find(
+    (errorCode) =>
+      errorCode && Object.prototype.hasOwnProperty.call(UNRESOLVED_TRANSACTION_NAMES, errorCode)
+  )
+  if (code) {
+    return UNRESOLVED_TRANSACTION_NAMES[code]
+  }
+
+  return INVALID_REQUEST_TRANSACTION_NAME
+}
+
 /**
  * Checks if selection is an InlineFragment that is a
  * NamedType
@@ -361,24 +1090,45 @@ function isNamedType(selection) {
 
 /**
  * Returns an object with the deepest path in the document definition selectionSet
- * along with query argument locations in raw query string.
+ * along with the complexity of the selections.
  * Deepest path is built from field names where only one field is in selectionSet.
  *
  * 'id' and '__typename' fields are filtered out of consideration to improve
- * naming in sub graph scenarios.
+ * naming in sub graph scenarios. They, and the selections of fragment spreads,
+ * are still counted towards complexity.
+ *
+ * List nesting is only calculated when the schema is provided, as the document
+ * alone does not indicate which fields return lists.
+ *
+ * @param {Object} definition operation definition
+ * @param {Object} [options]
+ * @param {Object} [options.fragments] fragment definitions of the document keyed by name
+ * @param {Object} [options.schema] schema the operation is executed against
  */
-function getDeepestPathAndQueryArguments(definition) {
+function getDeepestPathAndComplexity(definition, { fragments = {}, schema = null } = {}) {
   let deepestPath = []
   let foundDeepestPath = false
-  const argLocations = []
+  const complexity = {
+    depth: 0,
+    fieldCount: 0,
+    aliasCount: 0,
+    fragmentCount: 0,
+    listNesting: schema ? 0 : null
+  }
+
+  const rootShape = {
+    depth: 0,
+    listNesting: 0,
+    parentType: getRootType(schema, definition.operation)
+  }
 
   definition.selectionSet.selections.forEach((selection) => {
-    searchSelection(selection)
+    searchSelection(selection, null, rootShape)
   })
 
   return {
     deepestPath,
-    argLocations
+    complexity
   }
 
   /**
@@ -386,15 +1136,10 @@ function getDeepestPathAndQueryArguments(definition) {
    * exist. If the current path is deeper than deepestPath,
    * deepestPath is replaced.
    */
-  function searchSelection(selection, currentParts) {
+  function searchSelection(selection, currentParts, parentShape) {
     const parts = currentParts ? [...currentParts] : []
 
-    // capture the arguments for a selection
-    if (selection.arguments && selection.arguments.length > 0) {
-      selection.arguments.forEach((arg) => {
-        argLocations.push(arg.loc)
-      })
-    }
+    const shape = measureSelection(selection, parentShape)
 
     if (!foundDeepestPath) {
       // Build up deepest path
@@ -424,50 +1169,235 @@ function getDeepestPathAndQueryArguments(definition) {
 
       // Recurse through inner selections
       filtered.forEach((innerSelection) => {
-        searchSelection(innerSelection, parts)
+        searchSelection(innerSelection, parts, shape)
       })
+
+      // Selections filtered from naming still count towards complexity
+      selection.selectionSet.selections
+        .filter((innerSelection) => !filtered.includes(innerSelection))
+        .forEach((innerSelection) => measureSelectionTree(innerSelection, shape))
     } else if (!deepestPath.length || parts.length > deepestPath.length) {
       // Add selection parts to deepest path if we're not done
       deepestPath = parts
     }
   }
-}
 
-/**
- * Creates metrics for resolver fields when transaction is ended.
- * This will record how long specific resolvers took.
- *
- * @param {Object} segment relevant resolver segment
- * @param {string} scope name of transaction
- */
-function recordResolveSegment(segment, scope) {
-  const duration = segment.getDurationInMillis()
-  const exclusive = segment.getExclusiveDurationInMillis()
+  /**
+   * Counts the selection towards complexity, returning the
+   * shape its inner selections are measured from.
+   */
+  function measureSelection(selection, parentShape) {
+    if (selection.kind === 'FragmentSpread') {
+      complexity.fragmentCount++
+
+      // Fragment spreads have no inner selections in the operation,
+      // the selections of the fragment definition are measured instead.
+      const fragment = fragments[selection.name.value]
+      if (fragment && !parentShape.spreads?.includes(fragment)) {
+        const shape = {
+          ...parentShape,
+          parentType: getNamedSchemaType(schema, fragment),
+          spreads: [...(parentShape.spreads || []), fragment]
+        }
+        fragment.selectionSet.selections.forEach((innerSelection) => {
+          measureSelectionTree(innerSelection, shape)
+        })
+      }
+      return parentShape
+    }
 
-  const transaction = segment.transaction
+    if (selection.kind === 'InlineFragment') {
+      complexity.fragmentCount++
 
-  const attributes = segment.getAttributes()
-  const fieldName = attributes[FIELD_NAME_ATTR]
+      const parentType = getNamedSchemaType(schema, selection)
+      return parentType ? { ...parentShape, parentType } : parentShape
+    }
 
-  // The segment name uses the path to differentiate between duplicate
-  // names resolving across different types. Here we use the field name
-  // without the path to compare resolver across usage and transactions.
-  if (fieldName) {
-    const fieldNameMetric = `${RESOLVE_PREFIX}/${fieldName}`
-    createMetricPairs(transaction, fieldNameMetric, scope, duration, exclusive)
-  }
+    complexity.fieldCount++
+    if (selection.alias) {
+      complexity.aliasCount++
+    }
 
-  const fieldType = attributes[PARENT_TYPE_ATTR]
+    const { namedType, listCount } = unwrapFieldType(parentShape.parentType, selection.name.value)
+    const shape = {
+      ...parentShape,
+      depth: parentShape.depth + 1,
+      listNesting: parentShape.listNesting + listCount,
+      parentType: namedType
+    }
 
-  // We therefore also record the field with typename. This can be
-  // helpful in case two field names happen to match but are scoped to
-  // different types.
-  if (fieldType) {
-    const typedFieldMetric = `${TYPED_RESOLVE_PREFIX}/${fieldType}.${fieldName}`
+    complexity.depth = Math.max(complexity.depth, shape.depth)
+    if (schema) {
+      complexity.listNesting = Math.max(complexity.listNesting, shape.listNesting)
+    }
+
+    return shape
+  }
+
+  function measureSelectionTree(selection, parentShape) {
+    const shape = measureSelection(selection, parentShape)
+    if (selection.selectionSet) {
+      selection.selectionSet.selections.forEach((innerSelection) => {
+        measureSelectionTree(innerSelection, shape)
+      })
+    }
+  }
+}
+
+/**
+ * Looks up the type of an inline fragment or fragment definition
+ * type condition in the schema.
+ */
+function getNamedSchemaType(schema, fragment) {
+  if (!schema || !fragment.typeCondition || typeof schema.getType !== 'function') {
+    return null
+  }
+
+  return schema.getType(fragment.typeCondition.name.value) || null
+}
+
+/**
+ * Unwraps the non-null and list wrappers of the type of a field,
+ * counting the lists.
+ *
+ * @param {Object} parentType schema type the field is selected on
+ * @param {string} fieldName name of the field
+ * @returns {Object} named type of the field and the number of lists wrapping it
+ */
+function unwrapFieldType(parentType, fieldName) {
+  const field = getFields(parentType)[fieldName]
+
+  let type = field && field.type
+  let listCount = 0
+  while (type && type.ofType) {
+    if (type.constructor.name === 'GraphQLList') {
+      listCount++
+    }
+    type = type.ofType
+  }
+
+  return { namedType: type || null, listCount }
+}
+
+/**
+ * Creates metrics for resolver fields when transaction is ended.
+ * This will record how long specific resolvers took.
+ *
+ * @param {Object} segment relevant resolver segment
+ * @param {string} scope name of transaction
+ */
+function recordResolveSegment(segment, scope) {
+  const duration = segment.getDurationInMillis()
+  const exclusive = segment.getExclusiveDurationInMillis()
+
+  const attributes = segment.getAttributes()
+
+  recordResolveMetrics({
+    transaction: segment.transaction,
+    scope,
+    fieldName: attributes[FIELD_NAME_ATTR],
+    parentType: attributes[PARENT_TYPE_ATTR],
+    duration,
+    exclusive
+  })
+}
+
+function recordResolveMetrics({ transaction, scope, fieldName, parentType, duration, exclusive }) {
+  // The segment name uses the path to differentiate between duplicate
+  // names resolving across different types. Here we use the field name
+  // without the path to compare resolver across usage and transactions.
+  if (fieldName) {
+    const fieldNameMetric = `${RESOLVE_PREFIX}/${fieldName}`
+    createMetricPairs(transaction, fieldNameMetric, scope, duration, exclusive)
+  }
+
+  // We therefore also record the field with typename. This can be
+  // helpful in case two field names happen to match but are scoped to
+  // different types.
+  if (parentType) {
+    const typedFieldMetric = `${TYPED_RESOLVE_PREFIX}/${parentType}.${fieldName}`
     createMetricPairs(transaction, typedFieldMetric, scope, duration, exclusive)
   }
 }
 
+/**
+ * Records resolve metrics for every list item resolve of an aggregate segment,
+ * so call counts are the same as when a segment is created per resolve.
+ *
+ * @param {Object} segment aggregate resolver segment
+ * @param {string} scope name of transaction
+ * @param {Object} aggregate aggregate state of the resolve path
+ */
+function recordResolveAggregate(segment, scope, aggregate) {
+  aggregate.durations.forEach((duration) => {
+    recordResolveMetrics({
+      transaction: segment.transaction,
+      scope,
+      fieldName: aggregate.fieldName,
+      parentType: aggregate.parentType,
+      duration,
+      exclusive: duration
+    })
+  })
+}
+
+/**
+ * Records metrics kept in the resolver state of the operation.
+ *
+ * @param {Object} segment operation segment
+ * @param {string} scope name of transaction
+ */
+function recordResolverState(segment, scope) {
+  const resolverState = resolverStates.get(segment)
+  if (!resolverState) {
+    return
+  }
+
+  recordSuppressedResolves(segment, scope, resolverState)
+  recordNPlusOnes(segment, scope, resolverState)
+
+  resolverStates.delete(segment)
+}
+
+/**
+ * Records resolve metrics for resolves that did not get a segment due
+ * to the resolver segment budget of the operation.
+ *
+ * @param {Object} segment operation segment
+ * @param {string} scope name of transaction
+ * @param {Object} resolverState resolver state of the operation
+ */
+function recordSuppressedResolves(segment, scope, resolverState) {
+  resolverState.suppressedResolves.forEach(({ fieldName, parentType, duration }) => {
+    recordResolveMetrics({
+      transaction: segment.transaction,
+      scope,
+      fieldName,
+      parentType,
+      duration,
+      exclusive: duration
+    })
+  })
+}
+
+/**
+ * Records a metric for every field detected as an N+1 within the operation.
+ * The duration is the time spent in resolves of the field making
+ * datastore or external calls.
+ *
+ * @param {Object} segment operation segment
+ * @param {string} scope name of transaction
+ * @param {Object} resolverState resolver state of the operation
+ */
+function recordNPlusOnes(segment, scope, resolverState) {
+  resolverState.externalCalls.forEach(({ detected, fieldName, parentType, totalDuration }) => {
+    if (detected) {
+      const nPlusOneMetric = `${NPLUSONE_PREFIX}/${parentType}.${fieldName}`
+      createMetricPairs(segment.transaction, nPlusOneMetric, scope, totalDuration, totalDuration)
+    }
+  })
+}
+
 function filterSelectionsForDeepestPath(selections) {
   return selections.filter((currentSelection) => {
     // Inline fragments describe the prior element (_entities or unions) but contain
@@ -480,13 +1410,383 @@ function filterSelectionsForDeepestPath(selections) {
   })
 }
 
-function recordOperationSegment(segment, scope) {
+function getSampleRate(sampleRate) {
+  // a rate of 0 is valid, so only default when not provided
+  return typeof sampleRate === 'number' ? sampleRate : 1
+}
+
+/**
+ * Decides whether resolvers of the operation are recorded, using the rate
+ * override for the requested operation name if configured. The decision
+ * is added to the operation segment when a rate below 1 applies.
+ *
+ * @param {Object} requestContext request context passed to `requestDidStart`
+ * @param {PluginConfig} config plugin config
+ * @param {Object} operationSegment operation segment
+ * @returns {boolean} true when resolver segments and metrics should be recorded
+ */
+function shouldSampleResolvers(requestContext, config, operationSegment) {
+  const overrides = config.resolverSampleRateOverrides
+  const operationName = requestContext.request && requestContext.request.operationName
+
+  const sampleRate =
+    overrides && operationName && Object.prototype.hasOwnProperty.call(overrides, operationName)
+      ? overrides[operationName]
+      : config.resolverSampleRate
+
+  if (sampleRate >= 1) {
+    return true
+  }
+
+  const sampled = Math.random() < sampleRate
+  operationSegment.addAttribute(RESOLVERS_SAMPLED_ATTR, sampled)
+
+  return sampled
+}
+
+/**
+ * Creates a child segment of the operation segment to time a phase of the
+ * request pipeline (parsing, validation) that would otherwise be hidden in
+ * the exclusive time of the operation.
+ *
+ * Apollo Server 4 adds a code to errors of the phase. Older versions only
+ * add it when formatting the response, so the code of the failed phase is
+ * kept on the request context to classify those errors.
+ *
+ * @param {Object} params
+ * @param {Object} params.instrumentationApi New Relic instrumentation API
+ * @param {Object} params.logger plugin logger
+ * @param {Object} params.operationSegment operation segment
+ * @param {Object} params.requestContext request context passed to `requestDidStart`
+ * @param {string} params.name name of the phase segment
+ * @param {string} params.errorCode code of errors of the phase
+ * @returns {Function} callback invoked by Apollo Server when the phase ends
+ */
+function startPhaseSegment({
+  instrumentationApi,
+  logger,
+  operationSegment,
+  requestContext,
+  name,
+  errorCode
+}) {
+  const phaseSegment = instrumentationApi.createSegment(name, recordSegment, operationSegment)
+
+  if (phaseSegment) {
+    phaseSegment.start()
+  } else {
+    logger.trace('Phase segment was not created (%s).', name)
+  }
+
+  // Parsing ends with a single error, validation with a list of errors.
+  return (errors) => {
+    if (errors && (!Array.isArray(errors) || errors.length)) {
+      requestContext[PHASE_ERROR_CODE] = errorCode
+    }
+
+    if (phaseSegment) {
+      phaseSegment.end()
+    }
+  }
+}
+
+/**
+ * Adds the overall cache policy Apollo Server computed for the operation,
+ * and whether the response came from a response cache, to the operation segment.
+ *
+ * @param {Object} responseContext request context passed to `willSendResponse`
+ * @param {Object} operationSegment operation segment
+ */
+function addCacheAttributes(responseContext, operationSegment) {
+  const cachePolicy = getCachePolicy(responseContext.overallCachePolicy)
+  if (cachePolicy) {
+    operationSegment.addAttribute(CACHE_MAX_AGE_ATTR, cachePolicy.maxAge)
+    if (cachePolicy.scope) {
+      operationSegment.addAttribute(CACHE_SCOPE_ATTR, cachePolicy.scope)
+    }
+  }
+
+  // Set by the response cache plugin when execution was skipped.
+  const responseCacheHit = !!(responseContext.metrics && responseContext.metrics.responseCacheHit)
+  operationSegment.addAttribute(RESPONSE_CACHE_HIT_ATTR, responseCacheHit)
+
+  if (responseCacheHit) {
+    cachedResponses.add(operationSegment)
+  }
+}
+
+/**
+ * Apollo Server 3+ provides a cache policy object, where uncacheable
+ * responses have no policy. Older versions provide the hint values.
+ *
+ * @param {Object} overallCachePolicy overall cache policy of the request
+ * @returns {Object|null} maxAge and scope of the policy
+ */
+function getCachePolicy(overallCachePolicy) {
+  if (!overallCachePolicy) {
+    return null
+  }
+
+  if (typeof overallCachePolicy.policyIfCacheable === 'function') {
+    return overallCachePolicy.policyIfCacheable() || { maxAge: 0 }
+  }
+
+  return overallCachePolicy.maxAge === undefined ? null : overallCachePolicy
+}
+
+function addCacheHintAttributes(resolverSegment, info) {
+  const cacheHint = info.cacheControl && info.cacheControl.cacheHint
+  if (!cacheHint || cacheHint.maxAge === undefined) {
+    return
+  }
+
+  resolverSegment.addAttribute(FIELD_CACHE_MAX_AGE_ATTR, cacheHint.maxAge)
+  if (cacheHint.scope) {
+    resolverSegment.addAttribute(FIELD_CACHE_SCOPE_ATTR, cacheHint.scope)
+  }
+}
+
+function isIncrementalResponse(responseContext) {
+  const body = responseContext.response && responseContext.response.body
+  return !!body && body.kind === 'incremental'
+}
+
+/**
+ * Creates a segment for each deferred fragment or stream batch in a subsequent
+ * payload. Resolvers of those fragments execute between payloads so each segment
+ * spans from when the prior payload was sent until this payload is sent.
+ *
+ * @param {Object} params
+ * @param {Object} params.instrumentationApi New Relic instrumentation API
+ * @param {Object} params.operationSegment operation segment
+ * @param {Object} params.incrementalDelivery incremental delivery state of the operation
+ * @param {Object} params.payload subsequent payload about to be sent
+ */
+function recordSubsequentPayload({
+  instrumentationApi,
+  operationSegment,
+  incrementalDelivery,
+  payload
+}) {
+  const now = Date.now()
+  const duration = now - incrementalDelivery.lastTime
+
+  const incrementalResults = payload.incremental || []
+  incrementalResults.forEach((result) => {
+    incrementalDelivery.errorCount += countErrors(result.errors)
+
+    // Drop list indices so names do not grow with the size of the list.
+    const path = (result.path || []).filter((key) => typeof key !== 'number').join('.')
+    const prefix = result.items ? STREAM_PREFIX : DEFER_PREFIX
+
+    const segment = instrumentationApi.createSegment(
+      path ? `${prefix}/${path}` : prefix,
+      recordSegment,
+      operationSegment
+    )
+
+    if (!segment) {
+      return
+    }
+
+    segment.setDurationInMillis(duration, incrementalDelivery.lastTime)
+    segment.addAttribute(INCREMENTAL_PATH_ATTR, (result.path || []).join('.'))
+    if (result.label) {
+      segment.addAttribute(INCREMENTAL_LABEL_ATTR, result.label)
+    }
+  })
+
+  incrementalDelivery.payloadCount++
+  incrementalDelivery.lastTime = now
+}
+
+/**
+ * Ends the operation once the subsequent results of an incremental response
+ * are done, whether iterating them finished, failed or was cancelled.
+ * Covers streams that stop before a final payload with `hasNext: false` is sent,
+ * which would otherwise leave the operation segment open.
+ *
+ * @param {Object} body incremental response body
+ * @param {Function} endOperation ends the operation, if not already ended
+ */
+function endOnSubsequentResultsDone(body, endOperation) {
+  if (!body.subsequentResults) {
+    return
+  }
+
+  body.subsequentResults = trackSubsequentResults(body.subsequentResults, endOperation)
+}
+
+async function* trackSubsequentResults(subsequentResults, onDone) {
+  try {
+    yield* subsequentResults
+  } finally {
+    onDone()
+  }
+}
+
+/**
+ * Ends the operation of an incremental response, adding the number of
+ * subsequent payloads and the time spent sending them. Only the first call
+ * ends the operation, as both the final payload and the end of the
+ * subsequent results end it.
+ *
+ * @param {Object} params
+ * @param {Object} params.api New Relic API
+ * @param {PluginConfig} params.config plugin config
+ * @param {Object} params.logger plugin logger
+ * @param {Object} params.eventBudget sampling and cap of operation events
+ * @param {Segment} params.operationSegment operation segment
+ * @param {Object} params.incrementalDelivery incremental delivery state of the operation
+ */
+function endIncrementalOperation({
+  api,
+  config,
+  logger,
+  eventBudget,
+  operationSegment,
+  incrementalDelivery
+}) {
+  if (incrementalDelivery.ended) {
+    return
+  }
+
+  incrementalDelivery.ended = true
+  operationSegment.addAttribute(SUBSEQUENT_PAYLOADS_ATTR, incrementalDelivery.payloadCount)
+  operationSegment.addAttribute(
+    INCREMENTAL_DURATION_ATTR,
+    incrementalDelivery.lastTime - incrementalDelivery.initialTime
+  )
+
+  endOperationSegment(operationSegment)
+  maybeRecordOperationEvent({
+    api,
+    config,
+    logger,
+    eventBudget,
+    operationSegment,
+    errorCount: incrementalDelivery.errorCount
+  })
+}
+
+/**
+ * Notices and counts the errors of deferred fragments and stream batches.
+ * Apollo Server passes them to `didEncounterSubsequentErrors` before they
+ * are formatted, so errors already noticed on field resolve are skipped.
+ *
+ * @param {Object} params
+ * @param {Object} params.instrumentationApi New Relic instrumentation API
+ * @param {PluginConfig} params.config plugin config
+ * @param {Segment} params.operationSegment operation segment
+ * @param {Object} params.requestContext Apollo Server request context
+ * @param {Array<Error>} params.errors errors of the subsequent payload
+ */
+function recordSubsequentErrors({
+  instrumentationApi,
+  config,
+  operationSegment,
+  requestContext,
+  errors
+}) {
+  instrumentationApi.applySegment(function addErrors() {
+    errorHelper.addErrors(instrumentationApi, requestContext, errors, config)
+  }, operationSegment)
+
+  countOperationErrors({ config, operationSegment, errors })
+}
+
+/**
+ * Creates metrics named after the segment when transaction is ended.
+ * Used for operation segments, parse/validate phase segments and
+ * deferred fragment/stream batch segments. Operations with a cached
+ * response are recorded separately so they do not skew operation metrics.
+ * Operations are also recorded per client when `captureClientMetrics` is enabled.
+ *
+ * @param {Object} segment relevant segment
+ * @param {string} scope name of transaction
+ */
+function recordSegment(segment, scope) {
   const duration = segment.getDurationInMillis()
   const exclusive = segment.getExclusiveDurationInMillis()
 
   const transaction = segment.transaction
 
-  createMetricPairs(transaction, segment.name, scope, duration, exclusive)
+  const metricName = cachedResponses.has(segment)
+    ? segment.name.replace(OPERATION_PREFIX, CACHED_OPERATION_PREFIX)
+    : segment.name
+
+  createMetricPairs(transaction, metricName, scope, duration, exclusive)
+
+  const clientName = operationClients.get(segment)
+  if (clientName) {
+    // GraphQL/client/<name>/operation/ApolloServer/...
+    const clientMetricName = `${CLIENT_PREFIX}/${clientName}/${metricName.slice(
+      CATEGORY.length + 1
+    )}`
+    createMetricPairs(transaction, clientMetricName, scope, duration, exclusive)
+  }
+
+  const errorCounts = operationErrorCounts.get(segment)
+  if (errorCounts) {
+    recordErrorCounts(transaction, scope, errorCounts)
+  }
+
+  recordResolverState(segment, scope)
+}
+
+/**
+ * Counts the errors of the operation by `extensions.code`, recorded as
+ * error metrics along with the operation segment. Expected and ignored
+ * errors are also counted separately, as they are not part of the error rate.
+ *
+ * @param {Object} params
+ * @param {PluginConfig} params.config plugin config
+ * @param {Segment} params.operationSegment operation segment
+ * @param {Array<Error>} params.errors errors sent in the response
+ * @param {string} [params.defaultCode] code used for errors without one
+ */
+function countOperationErrors({ config, operationSegment, errors, defaultCode }) {
+  if (!Array.isArray(errors) || !errors.length) {
+    return
+  }
+
+  let errorCounts = operationErrorCounts.get(operationSegment)
+  if (!errorCounts) {
+    errorCounts = new Map()
+    operationErrorCounts.set(operationSegment, errorCounts)
+  }
+
+  const increment = (name) => errorCounts.set(name, (errorCounts.get(name) || 0) + 1)
+
+  errors.forEach((error) => {
+    const code = ErrorHelper.getErrorCode(error, defaultCode)
+    increment(`${ERRORS_PREFIX}/${code}`)
+
+    const classification = ErrorHelper.classifyError(error, defaultCode, config)
+    if (classification === ErrorHelper.EXPECTED) {
+      increment(`${EXPECTED_ERRORS_PREFIX}/${code}`)
+    } else if (classification === ErrorHelper.IGNORED) {
+      increment(`${IGNORED_ERRORS_PREFIX}/${code}`)
+    }
+  })
+}
+
+/**
+ * Records the error metrics counted for the operation, unscoped and
+ * scoped to the transaction.
+ *
+ * @param {Object} transaction active transaction
+ * @param {string} scope name of transaction
+ * @param {Map} errorCounts number of errors by metric name
+ */
+function recordErrorCounts(transaction, scope, errorCounts) {
+  errorCounts.forEach((count, name) => {
+    if (scope) {
+      transaction.metrics.getOrCreateMetric(name, scope).incrementCallCount(count)
+    }
+
+    transaction.metrics.getOrCreateMetric(name).incrementCallCount(count)
+  })
 }
 
 function createMetricPairs(transaction, name, scope, duration, exclusive) {
@@ -560,39 +1860,191 @@ function shouldIgnoreTransaction(operation, config, logger) {
  * add attributes for the query, operation type, operation name and
  * update the transaction name based on operation name as well
  *
- * @param {Object} context apollo request context
- * @param {Segment} operationSegment default segment created in request start
+ * @param {Object} params
+ * @param {Object} params.context apollo request context
+ * @param {Segment} params.operationSegment default segment created in request start
+ * @param {Object} params.operationNaming operation naming state
+ * @param {PluginConfig} params.config plugin config
  * @return {Boolean} true if document could be parsed from context
  */
-function updateOperationSegmentName(context, operationSegment) {
-  const operationDetails = getOperationDetails(context)
+function updateOperationSegmentName({ context, operationSegment, operationNaming, config }) {
+  const operationDetails = getOperationDetails(context, config)
   if (operationDetails) {
-    const { operationName, operationType, deepestUniquePath, cleanedQuery } = operationDetails
+    addOperationAttributes(operationSegment, operationDetails)
+    operationPaths.set(operationSegment, operationDetails.deepestUniquePath)
+
+    // Invalid documents are not named after their operation, as the names come
+    // from client input, and would use up the budget of `maxTransactionNames`.
+    // The query attribute can be used to find the offending query.
+    if (context[PHASE_ERROR_CODE] === VALIDATION_FAILED_CODE) {
+      setTransactionName(
+        operationSegment.transaction,
+        UNRESOLVED_TRANSACTION_NAMES[VALIDATION_FAILED_CODE]
+      )
+      operationSegment.name = VALIDATION_FAILED_OPERATION_NAME
+      return true
+    }
 
-    operationSegment.addAttribute(OPERATION_QUERY_ATTR, cleanedQuery)
+    applyOperationName(operationSegment, operationNaming, operationDetails)
+    return true
+  }
+
+  return false
+}
 
-    operationSegment.addAttribute(OPERATION_TYPE_ATTR, operationType)
+/**
+ * Names the transaction and operation segment after the operation,
+ * registering the name against `maxTransactionNames` as it is applied.
+ *
+ * @param {Segment} operationSegment operation segment
+ * @param {Object} operationNaming operation naming state
+ * @param {Object} operationDetails details of the operation
+ */
+function applyOperationName(operationSegment, operationNaming, operationDetails) {
+  const formattedOperation = nameOperation(operationNaming, operationDetails)
+  setTransactionName(operationSegment.transaction, formattedOperation)
+  operationSegment.name = `${OPERATION_PREFIX}/${formattedOperation}`
+  registerOperationName(operationNaming, formattedOperation)
+}
 
-    if (operationName) {
-      operationSegment.addAttribute(OPERATION_NAME_ATTR, operationName)
-    }
+/**
+ * Maps the id of each operation in a persisted query manifest
+ * to its name and type.
+ *
+ * @param {Object} manifest manifest in the format generated by `@apollo/generate-persisted-query-manifest`
+ * @returns {Map|null} operations keyed by hash
+ */
+function getPersistedOperations(manifest) {
+  if (!manifest || !Array.isArray(manifest.operations)) {
+    return null
+  }
 
-    const formattedName = operationName || ANON_PLACEHOLDER
-    let formattedOperation = `${operationType}/${formattedName}`
+  return new Map(
+    manifest.operations.map((operation) => [
+      operation.id,
+      { operationName: operation.name, operationType: operation.type }
+    ])
+  )
+}
 
-    // Certain requests, such as introspection, won't hit any resolvers
-    if (deepestUniquePath) {
-      formattedOperation += `/${deepestUniquePath}`
-    }
+function getPersistedQueryHash(context) {
+  const persistedQuery = context.request?.extensions?.persistedQuery
+  return persistedQuery && persistedQuery.sha256Hash
+}
 
-    const segmentName = formattedOperation
-    const transactionName = formattedOperation
-    setTransactionName(operationSegment.transaction, transactionName)
-    operationSegment.name = `${OPERATION_PREFIX}/${segmentName}`
-    return true
+/**
+ * Names the operation from the persisted query manifest when the
+ * document could not be resolved, such as a persisted query miss.
+ *
+ * @param {Object} params
+ * @param {Object} params.context apollo request context
+ * @param {Segment} params.operationSegment default segment created in request start
+ * @param {Map|null} params.persistedOperations operations of the manifest keyed by hash
+ * @param {Object} params.operationNaming operation naming state
+ * @return {Boolean} true if operation was found in the manifest
+ */
+function updatePersistedOperationName({
+  context,
+  operationSegment,
+  persistedOperations,
+  operationNaming
+}) {
+  const hash = getPersistedQueryHash(context)
+  const operationDetails = persistedOperations && hash && persistedOperations.get(hash)
+  if (!operationDetails) {
+    return false
   }
 
-  return false
+  operationSegment.addAttribute(OPERATION_TYPE_ATTR, operationDetails.operationType)
+  operationSegment.addAttribute(OPERATION_NAME_ATTR, operationDetails.operationName)
+
+  applyOperationName(operationSegment, operationNaming, operationDetails)
+  return true
+}
+
+/**
+ * Adds the hash, whether it was a hit, miss or registration, and any
+ * persisted query error when the client sent a persisted query hash.
+ *
+ * @param {Object} responseContext request context passed to `willSendResponse`
+ * @param {Segment} operationSegment operation segment
+ */
+function addPersistedQueryAttributes(responseContext, operationSegment) {
+  const hash = getPersistedQueryHash(responseContext)
+  if (!hash) {
+    return
+  }
+
+  operationSegment.addAttribute(PERSISTED_QUERY_HASH_ATTR, hash)
+
+  const metrics = responseContext.metrics || {}
+  let status = 'miss'
+  if (metrics.persistedQueryRegister) {
+    status = 'register'
+  } else if (metrics.persistedQueryHit) {
+    status = 'hit'
+  }
+  operationSegment.addAttribute(PERSISTED_QUERY_STATUS_ATTR, status)
+
+  const errors = responseContext.errors || []
+  const persistedQueryError = errors.find((error) =>
+    PERSISTED_QUERY_ERROR_CODES.includes(error.extensions?.code)
+  )
+  if (persistedQueryError) {
+    operationSegment.addAttribute(PERSISTED_QUERY_ERROR_ATTR, persistedQueryError.extensions.code)
+  }
+}
+
+/**
+ * Adds the query, operation type, operation name and complexity
+ * attributes to the operation segment.
+ *
+ * @param {Segment} operationSegment operation segment
+ * @param {Object} operationDetails details parsed from the document
+ */
+function addOperationAttributes(operationSegment, operationDetails) {
+  const { operationName, operationType, cleanedQuery, signature, signatureHash, complexity } =
+    operationDetails
+
+  if (cleanedQuery) {
+    // Already truncated to `maxQueryLength`, with a marker.
+    operationSegment.addAttribute(OPERATION_QUERY_ATTR, cleanedQuery, true)
+  }
+
+  operationSegment.addAttribute(OPERATION_SIGNATURE_ATTR, signature)
+  operationSegment.addAttribute(OPERATION_SIGNATURE_HASH_ATTR, signatureHash)
+
+  operationSegment.addAttribute(OPERATION_TYPE_ATTR, operationType)
+
+  if (operationName) {
+    operationSegment.addAttribute(OPERATION_NAME_ATTR, operationName)
+  }
+
+  if (complexity) {
+    addComplexityAttributes(operationSegment, complexity)
+  }
+}
+
+/**
+ * Adds the complexity of the operation selections to the operation segment
+ * and records them as summary metrics, to correlate operation durations
+ * with the shape of the query.
+ *
+ * @param {Segment} operationSegment operation segment
+ * @param {Object} complexity complexity calculated from the document
+ */
+function addComplexityAttributes(operationSegment, complexity) {
+  const { transaction } = operationSegment
+
+  Object.keys(COMPLEXITY_ATTRS).forEach((key) => {
+    const value = complexity[key]
+    if (value === null) {
+      return
+    }
+
+    operationSegment.addAttribute(COMPLEXITY_ATTRS[key], value)
+    transaction.metrics.getOrCreateMetric(`${COMPLEXITY_PREFIX}/${key}`).recordValue(value)
+  })
 }
 
 /**
@@ -616,6 +2068,140 @@ function maybeCaptureFieldMetrics({ config, info, operationSegment, args }) {
   }
 }
 
+/**
+ * Records a call count metric for every deprecated field, argument, input field
+ * and enum value used by the operation, and adds them to the operation segment.
+ *
+ * @param {Object} params
+ * @param {PluginConfig} params.config plugin config
+ * @param {Object} params.resolveContext request context passed to `didResolveOperation`
+ * @param {Segment} params.operationSegment operation segment
+ */
+function maybeRecordDeprecatedUsage({ config, resolveContext, operationSegment }) {
+  const { document, schema, request } = resolveContext
+  if (!config.captureDeprecatedUsage || !document || !schema) {
+    return
+  }
+
+  const deprecatedUsage = findDeprecatedUsage({ document, schema, variables: request?.variables })
+  if (!deprecatedUsage.length) {
+    return
+  }
+
+  operationSegment.addAttribute(DEPRECATED_USAGE_ATTR, deprecatedUsage.join(','))
+
+  deprecatedUsage.forEach((coordinate) => {
+    createCallCountMetric(operationSegment.transaction, `${DEPRECATED_PREFIX}/${coordinate}`)
+  })
+}
+
+/**
+ * Adds the name and version of the client that sent the operation to the
+ * operation segment and the transaction. These are read from the client
+ * awareness headers, falling back to `config.clientInfoExtractor`.
+ *
+ * @param {Object} params
+ * @param {Object} params.instrumentationApi New Relic instrumentation API
+ * @param {Object} params.requestContext request context passed to `requestDidStart`
+ * @param {PluginConfig} params.config plugin config
+ * @param {Segment} params.operationSegment operation segment
+ * @param {Object} params.clientNaming client naming state for per-client metrics
+ */
+function addClientAttributes({
+  instrumentationApi,
+  requestContext,
+  config,
+  operationSegment,
+  clientNaming
+}) {
+  let name = getRequestHeader(requestContext, config.clientNameHeader)
+  let version = getRequestHeader(requestContext, config.clientVersionHeader)
+
+  if (!name && instrumentationApi.isFunction(config.clientInfoExtractor)) {
+    const clientInfo = config.clientInfoExtractor(requestContext) || {}
+    name = clientInfo.name
+    version = version || clientInfo.version
+  }
+
+  if (!name) {
+    return
+  }
+
+  const transactionAttributes = operationSegment.transaction.trace.attributes
+
+  operationSegment.addAttribute(CLIENT_NAME_ATTR, name)
+  transactionAttributes.addAttribute(DESTINATIONS.TRANS_COMMON, CLIENT_NAME_ATTR, name)
+
+  if (version) {
+    operationSegment.addAttribute(CLIENT_VERSION_ATTR, version)
+    transactionAttributes.addAttribute(DESTINATIONS.TRANS_COMMON, CLIENT_VERSION_ATTR, version)
+  }
+
+  if (config.captureClientMetrics) {
+    operationClients.set(operationSegment, nameClient(clientNaming, name))
+  }
+}
+
+/**
+ * Records a `GraphQLOperation` custom event for the ended operation,
+ * built from the attributes of the operation segment, when
+ * `config.captureOperationEvents` is enabled.
+ *
+ * @param {Object} params
+ * @param {Object} params.api New Relic API
+ * @param {PluginConfig} params.config plugin config
+ * @param {Object} params.logger plugin logger
+ * @param {Object} params.eventBudget sampling and cap of operation events
+ * @param {Segment} params.operationSegment ended operation segment
+ * @param {number} params.errorCount number of errors sent in the response
+ */
+function maybeRecordOperationEvent({
+  api,
+  config,
+  logger,
+  eventBudget,
+  operationSegment,
+  errorCount
+}) {
+  if (!config.captureOperationEvents) {
+    return
+  }
+
+  const attributes = operationSegment.getAttributes()
+  const resolverState = resolverStates.get(operationSegment)
+
+  recordOperationEvent({
+    api,
+    logger,
+    budget: eventBudget,
+    attributes: {
+      operationType: attributes[OPERATION_TYPE_ATTR],
+      // Only operations resolved from a document or manifest have a type.
+      operationName:
+        attributes[OPERATION_NAME_ATTR] || (attributes[OPERATION_TYPE_ATTR] && ANON_PLACEHOLDER),
+      deepestPath: operationPaths.get(operationSegment) || null,
+      duration: operationSegment.getDurationInMillis(),
+      resolverCount: resolverState ? resolverState.resolveCount : 0,
+      errorCount,
+      clientName: attributes[CLIENT_NAME_ATTR],
+      clientVersion: attributes[CLIENT_VERSION_ATTR],
+      responseCacheHit: attributes[RESPONSE_CACHE_HIT_ATTR],
+      cacheMaxAge: attributes[CACHE_MAX_AGE_ATTR],
+      cacheScope: attributes[CACHE_SCOPE_ATTR],
+      persistedQueryStatus: attributes[PERSISTED_QUERY_STATUS_ATTR]
+    }
+  })
+}
+
+function countErrors(errors) {
+  return errors ? errors.length : 0
+}
+
+function getRequestHeader(requestContext, name) {
+  const headers = requestContext.request?.http?.headers
+  return headers && typeof headers.get === 'function' ? headers.get(name) : null
+}
+
 /**
  * Used to create metrics that just increment call count.  Intended to be
  * used to report on when we see args in a resolver
@@ -650,3 +2236,19 @@ function captureFieldMetrics({ transaction, args, fieldType, fieldName }) {
 }
 
 module.exports = createPlugin
+
+// Shared with the subscription instrumentation which
+// does not run through the Apollo Server request pipeline.
+Object.assign(module.exports, {
+  CATEGORY,
+  FRAMEWORK,
+  OPERATION_PREFIX,
+  addOperationAttributes,
+  countOperationErrors,
+  endOperationSegment,
+  getOperationDetails,
+  getResolverParentSegment,
+  recordSegment,
+  resetResolverBudget,
+  startResolverSegment
+})
@@ -0,0 +1,176 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { CATEGORY, getResolverParentSegment, recordSegment } = require('./create-plugin')
+const { ANON_PLACEHOLDER } = require('./graphql-utils')
+
+const DATALOADER_PREFIX = `${CATEGORY}/dataloader`
+
+const LOADER_NAME_ATTR = 'graphql.dataloader.name'
+const BATCH_SIZE_ATTR = 'graphql.dataloader.batchSize'
+const CACHE_HITS_ATTR = 'graphql.dataloader.cacheHits'
+const BATCH_ID_ATTR = 'graphql.dataloader.batchId'
+
+const LOADER_STATE = Symbol('New Relic DataLoader State')
+
+/**
+ * Extends a DataLoader class so each batch is recorded as a segment nested
+ * under the operation of the resolvers that loaded its keys, rather than
+ * under whichever segment is active when the batch is dispatched.
+ *
+ * @param {*} api New Relic API
+ * @param {Function} DataLoader DataLoader class from the dataloader package
+ * @returns {Function} instrumented DataLoader class
+ */
+function instrumentDataLoader(api, DataLoader) {
+  if (!api?.shim) {
+    return DataLoader
+  }
+  const instrumentationApi = api.shim
+
+  return class InstrumentedDataLoader extends DataLoader {
+    constructor(batchLoadFn, options = {}) {
+      const loaderState = {
+        name: options.name || batchLoadFn.name || ANON_PLACEHOLDER,
+        pendingLoads: [],
+        cacheHits: 0,
+        isCacheHit: false
+      }
+
+      // A cache map is only used when caching is enabled.
+      const cacheMap =
+        options.cache === false
+          ? options.cacheMap
+          : wrapCacheMap(options.cacheMap || new Map(), loaderState)
+
+      super(wrapBatchLoadFn(instrumentationApi, batchLoadFn, loaderState), {
+        ...options,
+        cacheMap
+      })
+
+      this[LOADER_STATE] = loaderState
+    }
+
+    load(key) {
+      const loaderState = this[LOADER_STATE]
+      loaderState.isCacheHit = false
+
+      const result = super.load(key)
+
+      if (loaderState.isCacheHit) {
+        loaderState.cacheHits++
+      } else {
+        // Keys are dispatched to batches in the order they were loaded.
+        loaderState.pendingLoads.push(instrumentationApi.getActiveSegment())
+      }
+
+      return result
+    }
+  }
+}
+
+/**
+ * Wraps the cache map to detect loads returning a cached value, as those do
+ * not get dispatched to a batch. Like DataLoader, any falsy value is a miss.
+ *
+ * @param {Object} cacheMap cache map the loader would otherwise use
+ * @param {Object} loaderState instrumentation state of the loader
+ * @returns {Object} cache map
+ */
+function wrapCacheMap(cacheMap, loaderState) {
+  return {
+    get(key) {
+      const value = cacheMap.get(key)
+      if (value) {
+        loaderState.isCacheHit = true
+      }
+
+      return value
+    },
+    set(key, value) {
+      return cacheMap.set(key, value)
+    },
+    delete(key) {
+      return cacheMap.delete(key)
+    },
+    clear() {
+      return cacheMap.clear()
+    }
+  }
+}
+
+function wrapBatchLoadFn(instrumentationApi, batchLoadFn, loaderState) {
+  return function wrappedBatchLoadFn(keys) {
+    const loadSegments = loaderState.pendingLoads.splice(0, keys.length)
+    const cacheHits = loaderState.cacheHits
+    loaderState.cacheHits = 0
+
+    const parentSegment = findBatchParent(instrumentationApi, loadSegments)
+    if (!parentSegment) {
+      return batchLoadFn.apply(this, arguments)
+    }
+
+    const batchSegment = instrumentationApi.createSegment(
+      `${DATALOADER_PREFIX}/${loaderState.name}/batch`,
+      recordSegment,
+      parentSegment
+    )
+
+    if (!batchSegment) {
+      return batchLoadFn.apply(this, arguments)
+    }
+
+    batchSegment.start()
+    batchSegment.addAttribute(LOADER_NAME_ATTR, loaderState.name)
+    batchSegment.addAttribute(BATCH_SIZE_ATTR, keys.length)
+    batchSegment.addAttribute(CACHE_HITS_ATTR, cacheHits)
+
+    // Link the resolvers that loaded keys to the batch resolving them.
+    loadSegments.forEach((segment) => {
+      if (segment && getResolverParentSegment(segment)) {
+        segment.addAttribute(BATCH_ID_ATTR, batchSegment.id)
+      }
+    })
+
+    let result = null
+    try {
+      result = instrumentationApi.applySegment(batchLoadFn, batchSegment, false, this, arguments)
+    } catch (err) {
+      batchSegment.end()
+      throw err
+    }
+
+    if (instrumentationApi.isPromise(result)) {
+      const endBatch = () => batchSegment.end()
+      result.then(endBatch, endBatch)
+    } else {
+      batchSegment.end()
+    }
+
+    return result
+  }
+}
+
+/**
+ * Finds the segment to nest a batch under. Batches nest under the parent of
+ * the first resolver that loaded one of its keys, falling back to the segment
+ * that loaded it when not loaded from a resolver.
+ *
+ * @param {Object} instrumentationApi New Relic instrumentation API
+ * @param {Array} loadSegments segments active when the keys of the batch were loaded
+ * @returns {Object|null} segment to nest batch segment under
+ */
+function findBatchParent(instrumentationApi, loadSegments) {
+  const loadSegment = loadSegments.find(Boolean)
+  if (!loadSegment) {
+    return instrumentationApi.getActiveSegment()
+  }
+
+  return getResolverParentSegment(loadSegment) || loadSegment
+}
+
+module.exports = instrumentDataLoader
@@ -0,0 +1,164 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { getRootType, isDeprecated } = require('./schema')
+const { getFields, unwrapType } = require('./graphql-utils')
+
+/**
+ * Finds the deprecated fields, arguments, input fields and enum values used
+ * by an operation, by looking up each member of the document in the schema.
+ * Members are identified by their schema coordinate, such as `Book.isbn`,
+ * `Query.books(sort:)` or `SortOrder.TITLE`.
+ *
+ * @param {Object} params
+ * @param {Object} params.document parsed document of the request
+ * @param {Object} params.schema schema the operation is executed against
+ * @param {Object} [params.variables] variables sent with the request
+ * @returns {Array<string>} sorted coordinates of the deprecated members used
+ */
+function findDeprecatedUsage({ document, schema, variables }) {
+  const operation = document.definitions.find(
+    (definition) => definition.kind === 'OperationDefinition'
+  )
+  const rootType = operation && getRootType(schema, operation.operation)
+  if (!rootType) {
+    return []
+  }
+
+  const search = {
+    schema,
+    variables: variables || {},
+    fragments: Object.create(null),
+    visitedFragments: new Set(),
+    used: new Set()
+  }
+
+  document.definitions.forEach((definition) => {
+    if (definition.kind === 'FragmentDefinition') {
+      search.fragments[definition.name.value] = definition
+    }
+  })
+
+  searchSelections(search, operation.selectionSet.selections, rootType)
+
+  return [...search.used].sort()
+}
+
+function searchSelections(search, selections, parentType) {
+  selections.forEach((selection) => {
+    if (selection.kind === 'FragmentSpread') {
+      const fragment = search.fragments[selection.name.value]
+      // Each fragment is the same wherever it is spread.
+      if (fragment && !search.visitedFragments.has(fragment)) {
+        search.visitedFragments.add(fragment)
+        const fragmentType = getTypeCondition(search, fragment, parentType)
+        searchSelections(search, fragment.selectionSet.selections, fragmentType)
+      }
+    } else if (selection.kind === 'InlineFragment') {
+      const fragmentType = getTypeCondition(search, selection, parentType)
+      searchSelections(search, selection.selectionSet.selections, fragmentType)
+    } else {
+      searchField(search, selection, parentType)
+    }
+  })
+}
+
+function searchField(search, selection, parentType) {
+  const fields = getFields(parentType)
+  const field = fields[selection.name.value]
+  if (!field) {
+    return
+  }
+
+  const coordinate = `${parentType.name}.${field.name}`
+  if (isDeprecated(field)) {
+    search.used.add(coordinate)
+  }
+
+  const argNodes = selection.arguments || []
+  argNodes.forEach((argNode) => {
+    const arg = field.args.find((fieldArg) => fieldArg.name === argNode.name.value)
+    if (!arg) {
+      return
+    }
+
+    if (isDeprecated(arg)) {
+      search.used.add(`${coordinate}(${arg.name}:)`)
+    }
+    searchValueNode(search, argNode.value, unwrapType(arg.type))
+  })
+
+  if (selection.selectionSet) {
+    searchSelections(search, selection.selectionSet.selections, unwrapType(field.type))
+  }
+}
+
+/**
+ * Searches an argument value in the document for deprecated
+ * input fields and enum values.
+ */
+function searchValueNode(search, valueNode, type) {
+  if (valueNode.kind === 'Variable') {
+    searchValue(search, search.variables[valueNode.name.value], type)
+  } else if (valueNode.kind === 'ListValue') {
+    valueNode.values.forEach((itemNode) => searchValueNode(search, itemNode, type))
+  } else if (valueNode.kind === 'ObjectValue') {
+    const inputFields = getFields(type)
+    valueNode.fields.forEach((fieldNode) => {
+      const inputField = inputFields[fieldNode.name.value]
+      if (inputField) {
+        searchInputField(search, type, inputField)
+        searchValueNode(search, fieldNode.value, unwrapType(inputField.type))
+      }
+    })
+  } else if (valueNode.kind === 'EnumValue') {
+    searchEnumValue(search, type, valueNode.value)
+  }
+}
+
+/**
+ * Searches a variable value for deprecated input fields and enum values.
+ */
+function searchValue(search, value, type) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => searchValue(search, item, type))
+  } else if (value && typeof value === 'object') {
+    const inputFields = getFields(type)
+    Object.keys(value).forEach((key) => {
+      const inputField = inputFields[key]
+      if (inputField) {
+        searchInputField(search, type, inputField)
+        searchValue(search, value[key], unwrapType(inputField.type))
+      }
+    })
+  } else if (typeof value === 'string') {
+    searchEnumValue(search, type, value)
+  }
+}
+
+function searchInputField(search, inputType, inputField) {
+  if (isDeprecated(inputField)) {
+    search.used.add(`${inputType.name}.${inputField.name}`)
+  }
+}
+
+function searchEnumValue(search, type, name) {
+  const enumValue = typeof type.getValue === 'function' && type.getValue(name)
+  if (enumValue && isDeprecated(enumValue)) {
+    search.used.add(`${type.name}.${enumValue.name}`)
+  }
+}
+
+function getTypeCondition(search, fragment, parentType) {
+  if (!fragment.typeCondition) {
+    return parentType
+  }
+
+  return search.schema.getType(fragment.typeCondition.name.value) || parentType
+}
+
+module.exports = findDeprecatedUsage
@@ -5,7 +5,28 @@
 
 'use strict'
 
+const { redactError } = require('./error-redaction')
+const { flattenPath } = require('./graphql-utils')
+
 const NOTICED_ERRORS = Symbol('New Relic Noticed Errors')
+// Code of the request pipeline phase that failed, used for errors
+// Apollo Server only adds a code to when formatting the response.
+const PHASE_ERROR_CODE = Symbol('New Relic Phase Error Code')
+// Attributes of the errors noticed for the operation, keyed by error group.
+const NOTICED_ERROR_GROUPS = Symbol('New Relic Noticed Error Groups')
+
+// Apollo Server responds with this code for errors thrown without one.
+const DEFAULT_ERROR_CODE = 'INTERNAL_SERVER_ERROR'
+
+const ERROR_CODE_ATTR = 'graphql.error.code'
+const ERROR_PATH_ATTR = 'graphql.error.path'
+const ERROR_LOCATIONS_ATTR = 'graphql.error.locations'
+const ERROR_OCCURRENCES_ATTR = 'graphql.error.occurrences'
+
+const DUPLICATE_ERRORS_PREFIX = 'GraphQL/duplicateErrors/ApolloServer'
+
+const EXPECTED = 'expected'
+const IGNORED = 'ignored'
 
 class ErrorHelper {
   isValidRequestContext(instrumentationApi, requestContext) {
@@ -16,26 +37,268 @@ class ErrorHelper {
     return true
   }
 
-  addErrorsFromApolloRequestContext(instrumentationApi, requestContext) {
+  addErrorsFromApolloRequestContext(instrumentationApi, requestContext, config) {
     if (!this.isValidRequestContext(instrumentationApi, requestContext)) {
       return
     }
 
-    for (const error of requestContext.errors) {
+    this.addErrors(instrumentationApi, requestContext, requestContext.errors, config)
+  }
+
+  /**
+   * Notices the errors of the request that were not already noticed
+   * when the resolver that threw them ended. Used for the errors of the
+   * initial response and of the payloads sent after it with incremental delivery.
+   *
+   * @param {Object} instrumentationApi New Relic instrumentation API
+   * @param {Object} requestContext Apollo Server request context
+   * @param {Array<Error>} errors errors to notice
+   * @param {PluginConfig} config plugin config
+   */
+  addErrors(instrumentationApi, requestContext, errors, config) {
+    const defaultCode = requestContext[PHASE_ERROR_CODE]
+    for (const error of errors) {
       if (!isErrorNoticed(error, requestContext)) {
-        this.noticeError(instrumentationApi, error)
+        this.noticeError(instrumentationApi, error, { defaultCode, config, requestContext })
       }
     }
   }
 
-  noticeError(instrumentationApi, error) {
-    error = error.originalError || error
+  /**
+   * Notices the error with the agent, adding the error code, path and
+   * locations of the GraphQL error as attributes. Errors thrown by a
+   * resolver are noticed before Apollo Server wraps them, so the path
+   * and locations are taken from the resolve info instead.
+   *
+   * Errors matching `config.ignoredErrors` are not noticed and errors
+   * matching `config.expectedErrors` are noticed as expected errors,
+   * which do not count against the error rate. When `config.errorRedaction`
+   * is set, a redacted copy of the error is noticed instead.
+   *
+   * When `config.deduplicateErrors` is enabled, only the first error of each
+   * group within the request is noticed. Later errors of the group increment
+   * the occurrence count of the first error and a duplicate error metric.
+   * Errors without a path, such as parse and validation errors, are not grouped.
+   *
+   * @param {Object} instrumentationApi New Relic instrumentation API
+   * @param {Error} error GraphQL error or error thrown by a resolver
+   * @param {Object} [options]
+   * @param {Object} [options.info] resolve info of the resolver that threw
+   * @param {string} [options.defaultCode] code used when the error has none
+   * @param {PluginConfig} [options.config] plugin config
+   * @param {Object} [options.requestContext] context errors are deduplicated within
+   */
+  noticeError(instrumentationApi, error, { info, defaultCode, config, requestContext } = {}) {
+    const classification = classifyError(error, defaultCode, config)
+    if (classification === IGNORED) {
+      instrumentationApi.logger.trace('Error matches ignoredErrors, not noticing.')
+      return
+    }
+
     const activeSegment = instrumentationApi.getActiveSegment()
     const transaction = activeSegment && activeSegment.transaction
-    instrumentationApi.agent.errors.add(transaction, error)
+
+    const groups = config && config.deduplicateErrors && getErrorGroups(requestContext)
+    const groupKey = groups && getErrorGroupKey(error, info, defaultCode)
+    if (groupKey && groups.has(groupKey)) {
+      recordDuplicateError(transaction, groups.get(groupKey))
+      return
+    }
+
+    const attributes = getErrorAttributes(error, info, defaultCode)
+    if (groupKey) {
+      // The agent reads attributes when the transaction ends, so
+      // later duplicates are included in the occurrence count.
+      attributes[ERROR_OCCURRENCES_ATTR] = 1
+      groups.set(groupKey, attributes)
+    }
+
+    error = redactError(error.originalError || error, config && config.errorRedaction)
+
+    if (classification === EXPECTED) {
+      instrumentationApi.agent.errors.addUserError(transaction, error, attributes, true)
+      return
+    }
+
+    instrumentationApi.agent.errors.add(transaction, error, attributes)
+  }
+}
+
+function getErrorGroups(requestContext) {
+  if (!requestContext) {
+    return null
+  }
+
+  requestContext[NOTICED_ERROR_GROUPS] = requestContext[NOTICED_ERROR_GROUPS] || new Map()
+  return requestContext[NOTICED_ERROR_GROUPS]
+}
+
+/**
+ * Groups errors by class, message template, code and path, with list
+ * indices removed, so that an error thrown for every item of a list
+ * forms a single group. Errors without a resolver path are distinct
+ * problems with the document, so are not grouped.
+ *
+ * @param {Error} error GraphQL error or error thrown by a resolver
+ * @param {Object} [info] resolve info of the resolver that threw
+ * @param {string} [defaultCode] code used when the error has none
+ * @returns {string|null} key of the error group, or null when the error has no path
+ */
+function getErrorGroupKey(error, info, defaultCode) {
+  const errorPath = error.path || (info && flattenPath(info.path))
+  if (!errorPath || !errorPath.length) {
+    return null
+  }
+
+  const originalError = error.originalError || error
+  const className =
+    originalError.name || (originalError.constructor && originalError.constructor.name)
+  const path = errorPath.filter((key) => typeof key !== 'number').join('.')
+
+  return [
+    className,
+    getMessageTemplate(String(originalError.message)),
+    getErrorCode(error, defaultCode),
+    path
+  ].join('|')
+}
+
+/**
+ * Replaces the values most often interpolated into error messages,
+ * quoted strings and numbers, with placeholders.
+ *
+ * @param {string} message error message
+ * @returns {string} message template
+ */
+function getMessageTemplate(message) {
+  return message.replace(/"[^"]*"|'[^']*'/g, '"?"').replace(/\d+/g, '?')
+}
+
+function recordDuplicateError(transaction, attributes) {
+  attributes[ERROR_OCCURRENCES_ATTR]++
+
+  if (transaction) {
+    transaction.metrics
+      .getOrCreateMetric(`${DUPLICATE_ERRORS_PREFIX}/${attributes[ERROR_CODE_ATTR]}`)
+      .incrementCallCount()
   }
 }
 
+/**
+ * Normalizes the `expectedErrors` or `ignoredErrors` config, matching
+ * errors by `extensions.code`, error class name or a predicate.
+ *
+ * @param {Object} [matcher] config of the errors to match
+ * @param {Array<string>} [matcher.codes] error codes, such as `UNAUTHENTICATED`
+ * @param {Array<string>} [matcher.classes] error class names, such as `AuthenticationError`
+ * @param {Function} [matcher.predicate] called with the error and its code, returning true to match
+ * @returns {Object|null} normalized matcher
+ */
+function getErrorMatcher(matcher) {
+  if (!matcher) {
+    return null
+  }
+
+  return {
+    codes: matcher.codes || [],
+    classes: matcher.classes || [],
+    predicate: typeof matcher.predicate === 'function' ? matcher.predicate : null
+  }
+}
+
+/**
+ * Classifies the error using the `ignoredErrors` and `expectedErrors`
+ * config. Ignored errors take precedence over expected errors.
+ *
+ * @param {Error} error GraphQL error or error thrown by a resolver
+ * @param {string} [defaultCode] code used when the error has none
+ * @param {PluginConfig} [config] plugin config
+ * @returns {string|null} `ignored`, `expected` or null for other errors
+ */
+function classifyError(error, defaultCode, config) {
+  if (!config || (!config.ignoredErrors && !config.expectedErrors)) {
+    return null
+  }
+
+  const code = getErrorCode(error, defaultCode)
+  const originalError = error.originalError || error
+
+  if (matchesError(config.ignoredErrors, originalError, code)) {
+    return IGNORED
+  }
+
+  if (matchesError(config.expectedErrors, originalError, code)) {
+    return EXPECTED
+  }
+
+  return null
+}
+
+function matchesError(matcher, error, code) {
+  if (!matcher) {
+    return false
+  }
+
+  const className = error.constructor && error.constructor.name
+
+  return (
+    matcher.codes.includes(code) ||
+    matcher.classes.includes(className) ||
+    matcher.classes.includes(error.name) ||
+    (matcher.predicate !== null && !!matcher.predicate(error, code))
+  )
+}
+
+/**
+ * Returns the `extensions.code` of the error, defaulting to the code
+ * Apollo Server responds with for errors thrown without one.
+ *
+ * @param {Error} error GraphQL error or error thrown by a resolver
+ * @param {string} [defaultCode] code used when the error has none
+ * @returns {string} error code
+ */
+function getErrorCode(error, defaultCode = DEFAULT_ERROR_CODE) {
+  const code =
+    (error.extensions && error.extensions.code) ||
+    (error.originalError && error.originalError.extensions && error.originalError.extensions.code)
+
+  return code || defaultCode
+}
+
+function getErrorAttributes(error, info, defaultCode) {
+  const attributes = { [ERROR_CODE_ATTR]: getErrorCode(error, defaultCode) }
+
+  const path = error.path || (info && flattenPath(info.path))
+  if (path && path.length) {
+    attributes[ERROR_PATH_ATTR] = path.join('.')
+  }
+
+  const locations = error.locations || (info && getFieldLocations(info.fieldNodes))
+  if (locations && locations.length) {
+    attributes[ERROR_LOCATIONS_ATTR] = locations
+      .map(({ line, column }) => `${line}:${column}`)
+      .join(',')
+  }
+
+  return attributes
+}
+
+/**
+ * Calculates the line and column of each field node in the document,
+ * matching the locations graphql adds to errors.
+ *
+ * @param {Array<Object>} [fieldNodes] field nodes of the resolve info
+ * @returns {Array<Object>} line and column of each field node with a location
+ */
+function getFieldLocations(fieldNodes) {
+  return (fieldNodes || [])
+    .filter((fieldNode) => fieldNode.loc && fieldNode.loc.source)
+    .map(({ loc }) => {
+      const lines = loc.source.body.slice(0, loc.start).split(/\r\n|[\n\r]/g)
+      return { line: lines.length, column: lines[lines.length - 1].length + 1 }
+    })
+}
+
 function isErrorNoticed(error, requestContext) {
   if (!error.originalError || !requestContext[NOTICED_ERRORS]) {
     return false
@@ -45,5 +308,12 @@ function isErrorNoticed(error, requestContext) {
 }
 
 ErrorHelper.NOTICED_ERRORS = NOTICED_ERRORS
+ErrorHelper.PHASE_ERROR_CODE = PHASE_ERROR_CODE
+ErrorHelper.NOTICED_ERROR_GROUPS = NOTICED_ERROR_GROUPS
+ErrorHelper.EXPECTED = EXPECTED
+ErrorHelper.IGNORED = IGNORED
+ErrorHelper.classifyError = classifyError
+ErrorHelper.getErrorMatcher = getErrorMatcher
+ErrorHelper.getErrorCode = getErrorCode
 
 module.exports = ErrorHelper
@@ -0,0 +1,107 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const REDACTED = '[REDACTED]'
+
+// Values commonly interpolated into error messages that identify users or records.
+const BUILT_IN_PATTERNS = [
+  // email addresses
+  /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  // UUIDs
+  /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+  // numeric ids
+  /\b\d{4,}\b/g
+]
+
+/**
+ * Normalizes the `errorRedaction` config.
+ *
+ * @param {Object} [redaction] config of the redaction applied to noticed errors
+ * @param {boolean} [redaction.builtInPatterns] whether to redact emails, UUIDs and numeric ids, defaults to true
+ * @param {Array<RegExp>} [redaction.patterns] additional patterns to redact from messages
+ * @param {Array<string>} [redaction.extensions] `extensions` fields to redact
+ * @param {Function} [redaction.redact] called with the redacted message and the error, returning the message to report
+ * @returns {Object|null} normalized redaction
+ */
+function getErrorRedaction(redaction) {
+  if (!redaction) {
+    return null
+  }
+
+  const patterns = (redaction.patterns || []).map((pattern) =>
+    // Patterns without the global flag would only replace the first match.
+    pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`)
+  )
+
+  const builtInPatterns = redaction.builtInPatterns !== false
+
+  return {
+    builtInPatterns,
+    // A Set as the config may be normalized again by `instrumentSubscribe`.
+    patterns: builtInPatterns ? [...new Set([...BUILT_IN_PATTERNS, ...patterns])] : patterns,
+    extensions: redaction.extensions || [],
+    redact: typeof redaction.redact === 'function' ? redaction.redact : null
+  }
+}
+
+/**
+ * Creates a copy of the error with a redacted message and `extensions`
+ * fields, to notice in place of the error. The error itself is returned
+ * to the client so it is left untouched. The class and stack trace are
+ * kept, with the message in the first line of the stack redacted.
+ *
+ * @param {Error} error error to notice
+ * @param {Object|null} redaction normalized redaction
+ * @returns {Error} redacted copy of the error, or the error when redaction is disabled
+ */
+function redactError(error, redaction) {
+  if (!redaction || !error || typeof error !== 'object') {
+    return error
+  }
+
+  const originalMessage = typeof error.message === 'string' ? error.message : ''
+  let message = redactString(originalMessage, redaction.patterns)
+  if (redaction.redact) {
+    message = redaction.redact(message, error)
+  }
+
+  const redacted = Object.create(Object.getPrototypeOf(error))
+  Object.assign(redacted, error)
+
+  redacted.name = error.name
+  redacted.message = message
+  if (typeof error.stack === 'string') {
+    redacted.stack = originalMessage ? error.stack.replace(originalMessage, message) : error.stack
+  }
+
+  if (error.extensions && redaction.extensions.length) {
+    redacted.extensions = redactExtensions(error.extensions, redaction.extensions)
+  }
+
+  return redacted
+}
+
+function redactString(value, patterns) {
+  return patterns.reduce((redacted, pattern) => redacted.replace(pattern, REDACTED), value)
+}
+
+function redactExtensions(extensions, fields) {
+  const redacted = Object.assign({}, extensions)
+  fields.forEach((field) => {
+    if (Object.prototype.hasOwnProperty.call(redacted, field)) {
+      redacted[field] = REDACTED
+    }
+  })
+
+  return redacted
+}
+
+module.exports = {
+  REDACTED,
+  getErrorRedaction,
+  redactError
+}
@@ -0,0 +1,76 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+// Used in names in place of operations and batch functions without a name.
+const ANON_PLACEHOLDER = '<anonymous>'
+
+/**
+ * Gets the fields of an object or input type, or none for other types.
+ *
+ * @param {Object} type schema type
+ * @returns {Object} fields keyed by name
+ */
+function getFields(type) {
+  return type && typeof type.getFields === 'function' ? type.getFields() : {}
+}
+
+/**
+ * Unwraps the non-null and list wrappers of a schema type.
+ *
+ * @param {Object} type schema type
+ * @returns {Object} named type
+ */
+function unwrapType(type) {
+  let namedType = type
+  while (namedType && namedType.ofType) {
+    namedType = namedType.ofType
+  }
+
+  return namedType
+}
+
+/**
+ * Unwraps the non-null and list wrappers of a type in the document,
+ * such as the type of a variable definition.
+ *
+ * @param {Object} typeNode type node
+ * @returns {Object} named type node
+ */
+function unwrapTypeNode(typeNode) {
+  return typeNode.kind === 'NamedType' ? typeNode : unwrapTypeNode(typeNode.type)
+}
+
+function getName(node) {
+  return node.name.value
+}
+
+/**
+ * Flattens the linked list of a resolve path, from the root field to the
+ * resolved field. List indices are kept.
+ *
+ * @param {Object} path `info.path` of a resolve
+ * @returns {Array<string|number>} keys of the path
+ */
+function flattenPath(path) {
+  const keys = []
+  let current = path
+  while (current) {
+    keys.unshift(current.key)
+    current = current.prev
+  }
+
+  return keys
+}
+
+module.exports = {
+  ANON_PLACEHOLDER,
+  flattenPath,
+  getFields,
+  getName,
+  unwrapType,
+  unwrapTypeNode
+}
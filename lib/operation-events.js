@@ -0,0 +1,86 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const OPERATION_EVENT = 'GraphQLOperation'
+const EVENT_WINDOW_MS = 60 * 1000
+
+/**
+ * Creates the state used to sample and cap `GraphQLOperation` events.
+ * Events are capped per minute, matching the default harvest cycle of the
+ * agent, so that they do not crowd out other custom events.
+ *
+ * @param {PluginConfig} config plugin config
+ * @returns {Object} event budget shared by all requests
+ */
+function createEventBudget(config) {
+  return {
+    sampleRate: config.operationEventSampleRate,
+    maxPerMinute: config.maxOperationEventsPerMinute,
+    windowStart: 0,
+    count: 0
+  }
+}
+
+/**
+ * Decides whether an event is recorded, counting it against the
+ * budget of the current window when sampled.
+ *
+ * @param {Object} budget event budget
+ * @param {number} [now] current time in milliseconds
+ * @returns {boolean} true when the event should be recorded
+ */
+function takeEventBudget(budget, now = Date.now()) {
+  if (budget.sampleRate < 1 && Math.random() >= budget.sampleRate) {
+    return false
+  }
+
+  if (now - budget.windowStart >= EVENT_WINDOW_MS) {
+    budget.windowStart = now
+    budget.count = 0
+  }
+
+  if (budget.count >= budget.maxPerMinute) {
+    return false
+  }
+
+  budget.count++
+  return true
+}
+
+/**
+ * Records a `GraphQLOperation` custom event when sampled and within the
+ * budget. Attributes without a value are left off the event as the agent
+ * drops events with null attribute values.
+ *
+ * @param {Object} params
+ * @param {Object} params.api New Relic API
+ * @param {Object} params.logger plugin logger
+ * @param {Object} params.budget event budget
+ * @param {Object} params.attributes attributes of the operation
+ */
+function recordOperationEvent({ api, logger, budget, attributes }) {
+  if (!takeEventBudget(budget)) {
+    logger.trace('Operation event not sampled or over budget. Not recording.')
+    return
+  }
+
+  const event = {}
+  Object.keys(attributes).forEach((key) => {
+    if (attributes[key] !== undefined && attributes[key] !== null) {
+      event[key] = attributes[key]
+    }
+  })
+
+  api.recordCustomEvent(OPERATION_EVENT, event)
+}
+
+module.exports = {
+  OPERATION_EVENT,
+  createEventBudget,
+  recordOperationEvent,
+  takeEventBudget
+}
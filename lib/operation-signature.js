@@ -0,0 +1,216 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const crypto = require('crypto')
+const { getName } = require('./graphql-utils')
+
+const SIGNATURE_HASH_LENGTH = 16
+
+// Selections are sorted by kind before name, as in Apollo usage reporting.
+const SELECTION_KIND_ORDER = ['Field', 'InlineFragment']
+
+/**
+ * Computes the signature of an operation in the style of Apollo usage
+ * reporting, so that the same logical operation gets the same signature
+ * whatever the formatting, aliases, literals or order of fields sent:
+ *
+ * - fragment spreads are inlined and fragment definitions dropped
+ * - numbers, strings, lists and objects are replaced by `0`, `""`, `[]` and `{}`
+ * - aliases are removed
+ * - selections, arguments, directives and variables are sorted
+ * - whitespace is reduced to single spaces between names
+ *
+ * @param {Object} definition operation definition
+ * @param {Object} fragments fragment definitions keyed by name
+ * @returns {string} operation signature
+ */
+function getOperationSignature(definition, fragments) {
+  const context = { fragments, spreadFragments: new Set() }
+
+  let signature = definition.operation
+  if (definition.name) {
+    signature += ` ${definition.name.value}`
+  }
+
+  const variables = sortByName(definition.variableDefinitions || [], (variable) =>
+    getName(variable.variable)
+  )
+  if (variables.length) {
+    signature += `(${variables.map(printVariableDefinition).join(',')})`
+  }
+
+  return (
+    signature +
+    printDirectives(definition.directives) +
+    printSelectionSet(context, definition.selectionSet)
+  )
+}
+
+/**
+ * Hashes the operation signature.
+ *
+ * @param {string} signature operation signature
+ * @returns {string} short hex hash
+ */
+function getSignatureHash(signature) {
+  return crypto.createHash('sha256').update(signature).digest('hex').slice(0, SIGNATURE_HASH_LENGTH)
+}
+
+function printVariableDefinition(variable) {
+  let printed = `$${getName(variable.variable)}:${printType(variable.type)}`
+  if (variable.defaultValue) {
+    printed += `=${printValue(variable.defaultValue)}`
+  }
+
+  return printed
+}
+
+function printType(type) {
+  if (type.kind === 'NonNullType') {
+    return `${printType(type.type)}!`
+  }
+
+  if (type.kind === 'ListType') {
+    return `[${printType(type.type)}]`
+  }
+
+  return getName(type)
+}
+
+function printSelectionSet(context, selectionSet) {
+  if (!selectionSet) {
+    return ''
+  }
+
+  const selections = inlineFragmentSpreads(context, selectionSet.selections)
+    .map((selection) => ({ selection, printed: printSelection(context, selection) }))
+    .sort((a, b) => compareSelections(a.selection, b.selection) || compare(a.printed, b.printed))
+    .map(({ printed }) => printed)
+
+  return `{${selections.join(' ')}}`
+}
+
+/**
+ * Replaces fragment spreads with inline fragments on the type condition of
+ * the fragment. Spreads of unknown fragments and cyclic spreads are dropped,
+ * as they only occur in documents that fail validation.
+ *
+ * @param {Object} context signature context
+ * @param {Array<Object>} selections selections of a selection set
+ * @returns {Array<Object>} selections without fragment spreads
+ */
+function inlineFragmentSpreads(context, selections) {
+  return selections.reduce((inlined, selection) => {
+    if (selection.kind !== 'FragmentSpread') {
+      inlined.push(selection)
+      return inlined
+    }
+
+    const fragment = context.fragments[getName(selection)]
+    if (fragment && !context.spreadFragments.has(fragment)) {
+      inlined.push({
+        kind: 'InlineFragment',
+        typeCondition: fragment.typeCondition,
+        directives: [...(selection.directives || []), ...(fragment.directives || [])],
+        selectionSet: fragment.selectionSet,
+        fragment
+      })
+    }
+
+    return inlined
+  }, [])
+}
+
+function printSelection(context, selection) {
+  if (selection.kind === 'InlineFragment') {
+    // Tracks the fragments being inlined to stop at cyclic spreads.
+    if (selection.fragment) {
+      context.spreadFragments.add(selection.fragment)
+    }
+
+    const typeCondition = selection.typeCondition ? `on ${getName(selection.typeCondition)}` : ''
+    const directives = printDirectives(selection.directives)
+    const selectionSet = printSelectionSet(context, selection.selectionSet)
+
+    if (selection.fragment) {
+      context.spreadFragments.delete(selection.fragment)
+    }
+
+    return `...${typeCondition}${directives}${selectionSet}`
+  }
+
+  const args = printArguments(selection.arguments)
+  const directives = printDirectives(selection.directives)
+  const selectionSet = printSelectionSet(context, selection.selectionSet)
+  return `${getName(selection)}${args}${directives}${selectionSet}`
+}
+
+function printArguments(args) {
+  if (!args || !args.length) {
+    return ''
+  }
+
+  const printed = sortByName(args, getName).map((arg) => `${getName(arg)}:${printValue(arg.value)}`)
+  return `(${printed.join(',')})`
+}
+
+function printDirectives(directives) {
+  if (!directives || !directives.length) {
+    return ''
+  }
+
+  return sortByName(directives, getName)
+    .map((directive) => ` @${getName(directive)}${printArguments(directive.arguments)}`)
+    .join('')
+}
+
+function printValue(value) {
+  switch (value.kind) {
+    case 'Variable':
+      return `$${getName(value)}`
+    case 'IntValue':
+    case 'FloatValue':
+      return '0'
+    case 'StringValue':
+      return '""'
+    case 'ListValue':
+      return '[]'
+    case 'ObjectValue':
+      return '{}'
+    case 'NullValue':
+      return 'null'
+    // Booleans and enum values are kept, as in Apollo usage reporting.
+    default:
+      return String(value.value)
+  }
+}
+
+function compareSelections(a, b) {
+  const kindOrder = SELECTION_KIND_ORDER.indexOf(a.kind) - SELECTION_KIND_ORDER.indexOf(b.kind)
+  if (kindOrder || a.kind !== 'Field') {
+    return kindOrder
+  }
+
+  return compare(getName(a), getName(b))
+}
+
+function sortByName(nodes, nameOf) {
+  return [...nodes].sort((a, b) => compare(nameOf(a), nameOf(b)))
+}
+
+function compare(a, b) {
+  if (a < b) {
+    return -1
+  }
+
+  return a > b ? 1 : 0
+}
+
+module.exports = {
+  getOperationSignature,
+  getSignatureHash
+}
@@ -5,22 +5,386 @@
 
 'use strict'
 
+const { getRootType } = require('./schema')
+const { getFields, getName, unwrapType, unwrapTypeNode } = require('./graphql-utils')
+
 const OBFUSCATION_STR = '***'
+const TRUNCATION_MARKER = '[TRUNCATED]'
+
+const QUERY_CAPTURE_MODES = ['obfuscated', 'raw', 'off']
+const DEFAULT_QUERY_CAPTURE = 'obfuscated'
+
+// Span attributes are truncated by the agent past 2000 characters.
+const MAX_QUERY_LENGTH = 2000
+// The query is exempt from the agent's truncation of trace attributes,
+// so is bounded to keep it from bloating every trace.
+const MAX_QUERY_LENGTH_LIMIT = 4095
+
+/**
+ * Normalizes the `queryCapture` config. Unknown modes fall back to `obfuscated`.
+ *
+ * @param {string} [mode] `obfuscated`, `raw` or `off`
+ * @param {Object} [logger] plugin logger
+ * @returns {string} query capture mode
+ */
+function getQueryCapture(mode, logger) {
+  if (mode === undefined || mode === null) {
+    return DEFAULT_QUERY_CAPTURE
+  }
+
+  if (!QUERY_CAPTURE_MODES.includes(mode)) {
+    logger?.warn('Unknown queryCapture mode %s, using %s.', mode, DEFAULT_QUERY_CAPTURE)
+    return DEFAULT_QUERY_CAPTURE
+  }
+
+  return mode
+}
+
+/**
+ * Normalizes the `maxQueryLength` config, defaulting to 2000 and capped at 4095.
+ *
+ * @param {number} [maxLength] maximum length of the captured query
+ * @returns {number} maximum query length
+ */
+function getMaxQueryLength(maxLength) {
+  if (!(maxLength > 0)) {
+    return MAX_QUERY_LENGTH
+  }
+
+  return Math.min(Math.floor(maxLength), MAX_QUERY_LENGTH_LIMIT)
+}
+
+/**
+ * Normalizes the `queryLiteralAllowlist` config.
+ *
+ * @param {Object} [allowlist] literals kept in the obfuscated query
+ * @param {Array<string>} [allowlist.paths] arguments as `Type.field.argument`,
+ *  `@directive.argument` or input fields as `InputType.field`
+ * @param {Array<string>} [allowlist.types] names of the argument types, such as `Int` or `Boolean`
+ * @param {boolean} [allowlist.enums] whether to keep the literals of every enum type
+ * @param {string} [allowlist.directive] name of the schema directive marking arguments,
+ *  input fields and types to keep
+ * @returns {Object|null} normalized allowlist
+ */
+function getQueryLiteralAllowlist(allowlist) {
+  if (!allowlist) {
+    return null
+  }
+
+  return {
+    paths: new Set(allowlist.paths || []),
+    types: new Set(allowlist.types || []),
+    enums: !!allowlist.enums,
+    directive: allowlist.directive || null
+  }
+}
+
+/**
+ * Gets the query to capture as the `graphql.operation.query` attribute
+ * depending on the `queryCapture` mode, truncated to `maxQueryLength`.
+ *
+ * @param {Object} params
+ * @param {Object} params.document parsed document
+ * @param {string} [params.source] raw query sent by the client
+ * @param {Object} [params.schema] schema the operation is executed against
+ * @param {Object} [config] plugin config
+ * @returns {string|null} query to capture, or null when it should not be captured
+ */
+function captureQuery({ document, source, schema }, config = {}) {
+  const mode = getQueryCapture(config.queryCapture)
+  if (mode === 'off') {
+    return null
+  }
+
+  const query =
+    mode === 'raw'
+      ? source
+      : cleanQuery(document, { schema, allowlist: config.queryLiteralAllowlist })
+  return query ? truncateQuery(query, getMaxQueryLength(config.maxQueryLength)) : null
+}
+
+/**
+ * Prints the document with every literal, in field and directive arguments,
+ * variable default values and nested in lists and objects, replaced by `***`.
+ * Variables, aliases and the order of selections are kept. As the query is
+ * printed from the AST rather than the raw source, comments are dropped and
+ * block strings are obfuscated like any other string.
+ *
+ * Literals matching the allowlist are kept. Arguments and input fields are
+ * looked up in the schema, so only the types of variable default values can
+ * be matched without it.
+ *
+ * @param {Object} document parsed document
+ * @param {Object} [options]
+ * @param {Object} [options.schema] schema the operation is executed against
+ * @param {Object} [options.allowlist] normalized `queryLiteralAllowlist`
+ * @returns {string} obfuscated query
+ */
+function cleanQuery(document, { schema = null, allowlist = null } = {}) {
+  const context = { schema, allowlist }
+  return document.definitions
+    .map((definition) => printDefinition(context, definition))
+    .filter((printed) => printed)
+    .join(' ')
+}
+
+/**
+ * Truncates the query to the max length, ending it with `[TRUNCATED]`.
+ *
+ * @param {string} query query to truncate
+ * @param {number} maxLength maximum length, including the marker
+ * @returns {string} query no longer than the max length
+ */
+function truncateQuery(query, maxLength) {
+  if (query.length <= maxLength) {
+    return query
+  }
+
+  return query.slice(0, Math.max(maxLength - TRUNCATION_MARKER.length, 0)) + TRUNCATION_MARKER
+}
+
+function printDefinition(context, definition) {
+  if (definition.kind === 'OperationDefinition') {
+    const rootType = getRootType(context.schema, definition.operation)
+
+    let printed = definition.operation
+    if (definition.name) {
+      printed += ` ${getName(definition)}`
+    }
+
+    const variables = definition.variableDefinitions || []
+    if (variables.length) {
+      const printedVariables = variables.map((variable) =>
+        printVariableDefinition(context, variable)
+      )
+      printed += `(${printedVariables.join(', ')})`
+    }
+
+    const directives = printDirectives(context, definition.directives)
+    const selectionSet = printSelectionSet(context, definition.selectionSet, rootType)
+    return `${printed}${directives} ${selectionSet}`
+  }
+
+  if (definition.kind === 'FragmentDefinition') {
+    const fragmentType = getSchemaType(context, definition.typeCondition)
+    const directives = printDirectives(context, definition.directives)
+    const selectionSet = printSelectionSet(context, definition.selectionSet, fragmentType)
+    const typeCondition = getName(definition.typeCondition)
+    return `fragment ${getName(definition)} on ${typeCondition}${directives} ${selectionSet}`
+  }
 
-const cleanQuery = (query, argLocations) => {
-  let cleanedQuery = query
-  let offset = 0
+  // Type system definitions cannot be executed, so are left out.
+  return null
+}
+
+function printVariableDefinition(context, variable) {
+  let printed = `$${getName(variable.variable)}: ${printType(variable.type)}`
+  if (variable.defaultValue) {
+    // Without the schema, types are only known by name.
+    const namedType = unwrapTypeNode(variable.type)
+    const type = getSchemaType(context, namedType) || { name: getName(namedType) }
+    printed += ` = ${printValue(context, variable.defaultValue, type)}`
+  }
+
+  return printed + printDirectives(context, variable.directives)
+}
+
+function printType(type) {
+  if (type.kind === 'NonNullType') {
+    return `${printType(type.type)}!`
+  }
+
+  if (type.kind === 'ListType') {
+    return `[${printType(type.type)}]`
+  }
+
+  return getName(type)
+}
+
+function printSelectionSet(context, selectionSet, parentType) {
+  const selections = selectionSet.selections.map((selection) =>
+    printSelection(context, selection, parentType)
+  )
+  return `{ ${selections.join(' ')} }`
+}
 
-  argLocations.forEach((loc) => {
-    cleanedQuery =
-      cleanedQuery.slice(0, loc.start - offset) +
-      OBFUSCATION_STR +
-      cleanedQuery.slice(loc.end - offset)
+function printSelection(context, selection, parentType) {
+  const directives = printDirectives(context, selection.directives)
 
-    offset = loc.end - loc.start - OBFUSCATION_STR.length
+  if (selection.kind === 'FragmentSpread') {
+    return `...${getName(selection)}${directives}`
+  }
+
+  if (selection.kind === 'InlineFragment') {
+    let typeCondition = ''
+    let fragmentType = parentType
+    if (selection.typeCondition) {
+      typeCondition = ` on ${getName(selection.typeCondition)}`
+      fragmentType = getSchemaType(context, selection.typeCondition)
+    }
+
+    const selectionSet = printSelectionSet(context, selection.selectionSet, fragmentType)
+    return `...${typeCondition}${directives} ${selectionSet}`
+  }
+
+  const field = getFields(parentType)[getName(selection)]
+  const args = printArguments(context, selection.arguments, {
+    argDefs: field && field.args,
+    pathPrefix: field && `${parentType.name}.${field.name}`
   })
 
-  return cleanedQuery
+  let printed = selection.alias ? `${selection.alias.value}: ` : ''
+  printed += `${getName(selection)}${args}${directives}`
+  if (selection.selectionSet) {
+    const fieldType = field ? unwrapType(field.type) : null
+    printed += ` ${printSelectionSet(context, selection.selectionSet, fieldType)}`
+  }
+
+  return printed
+}
+
+function printArguments(context, args, { argDefs, pathPrefix }) {
+  if (!args || !args.length) {
+    return ''
+  }
+
+  const printed = args.map((arg) => {
+    const argDef = argDefs && argDefs.find((def) => def.name === getName(arg))
+    return `${getName(arg)}: ${printMemberValue(context, arg.value, argDef, pathPrefix)}`
+  })
+  return `(${printed.join(', ')})`
+}
+
+function printDirectives(context, directives) {
+  if (!directives || !directives.length) {
+    return ''
+  }
+
+  return directives
+    .map((directive) => {
+      const name = getName(directive)
+      const directiveDef = getDirective(context, name)
+      const args = printArguments(context, directive.arguments, {
+        argDefs: directiveDef && directiveDef.args,
+        pathPrefix: `@${name}`
+      })
+      return ` @${name}${args}`
+    })
+    .join('')
 }
 
-module.exports = cleanQuery
+/**
+ * Prints the value of an argument or input field, kept entirely when the
+ * member is allowlisted by path or directive.
+ */
+function printMemberValue(context, value, member, pathPrefix) {
+  if (!member) {
+    return printValue(context, value, null)
+  }
+
+  if (isAllowedMember(context.allowlist, member, `${pathPrefix}.${member.name}`)) {
+    return printLiteral(value)
+  }
+
+  return printValue(context, value, unwrapType(member.type))
+}
+
+function printValue(context, value, type) {
+  switch (value.kind) {
+    case 'Variable':
+      return `$${getName(value)}`
+    case 'ListValue':
+      return `[${value.values.map((item) => printValue(context, item, type)).join(', ')}]`
+    case 'ObjectValue':
+      return printObjectValue(context, value, type)
+    default:
+      return isAllowedType(context.allowlist, type) ? printLiteral(value) : OBFUSCATION_STR
+  }
+}
+
+function printObjectValue(context, value, inputType) {
+  const inputFields = getFields(inputType)
+  const fields = value.fields.map((field) => {
+    const inputField = inputFields[getName(field)]
+    const printed = printMemberValue(context, field.value, inputField, inputType && inputType.name)
+    return `${getName(field)}: ${printed}`
+  })
+
+  return `{${fields.join(', ')}}`
+}
+
+function printLiteral(value) {
+  switch (value.kind) {
+    case 'Variable':
+      return `$${getName(value)}`
+    case 'ListValue':
+      return `[${value.values.map(printLiteral).join(', ')}]`
+    case 'ObjectValue':
+      return `{${value.fields.map(printNamedLiteral).join(', ')}}`
+    case 'StringValue':
+      // Block strings are printed as regular strings.
+      return JSON.stringify(value.value)
+    case 'NullValue':
+      return 'null'
+    default:
+      return String(value.value)
+  }
+}
+
+function printNamedLiteral(field) {
+  return `${getName(field)}: ${printLiteral(field.value)}`
+}
+
+function isAllowedMember(allowlist, member, path) {
+  if (!allowlist) {
+    return false
+  }
+
+  return allowlist.paths.has(path) || hasDirective(member, allowlist.directive)
+}
+
+function isAllowedType(allowlist, type) {
+  if (!allowlist || !type) {
+    return false
+  }
+
+  return (
+    allowlist.types.has(type.name) ||
+    (allowlist.enums && typeof type.getValues === 'function') ||
+    hasDirective(type, allowlist.directive)
+  )
+}
+
+function hasDirective(member, directive) {
+  const directives = directive && member.astNode && member.astNode.directives
+  return !!directives && directives.some((node) => getName(node) === directive)
+}
+
+function getSchemaType(context, namedTypeNode) {
+  const { schema } = context
+  if (!schema || typeof schema.getType !== 'function') {
+    return null
+  }
+
+  return schema.getType(getName(namedTypeNode)) || null
+}
+
+function getDirective(context, name) {
+  const { schema } = context
+  if (!schema || typeof schema.getDirective !== 'function') {
+    return null
+  }
+
+  return schema.getDirective(name) || null
+}
+
+module.exports = {
+  OBFUSCATION_STR,
+  TRUNCATION_MARKER,
+  captureQuery,
+  cleanQuery,
+  getMaxQueryLength,
+  getQueryCapture,
+  getQueryLiteralAllowlist,
+  truncateQuery
+}
@@ -0,0 +1,217 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const crypto = require('crypto')
+
+const SCHEMA_CHANGE_EVENT = 'GraphQLSchemaChange'
+// Keeps the field lists of the event within attribute value limits.
+const MAX_DIFF_FIELDS = 100
+
+/**
+ * Calculates a hash of the schema that is stable across restarts, along with
+ * the type and field counts. Type and field order does not affect the hash.
+ *
+ * @param {Object} schema GraphQL schema
+ * @returns {Object} hash, counts and fields keyed by coordinate (`Type.field`)
+ */
+function getSchemaDetails(schema) {
+  const fields = new Map()
+  const lines = []
+
+  const typeMap = schema.getTypeMap()
+  const typeNames = Object.keys(typeMap)
+    .filter((name) => !name.startsWith('__'))
+    .sort()
+
+  typeNames.forEach((typeName) => {
+    const type = typeMap[typeName]
+    lines.push(describeType(type))
+
+    if (typeof type.getFields !== 'function') {
+      return
+    }
+
+    const typeFields = type.getFields()
+    Object.keys(typeFields)
+      .sort()
+      .forEach((fieldName) => {
+        const field = typeFields[fieldName]
+        const coordinate = `${typeName}.${fieldName}`
+        const signature = describeField(coordinate, field)
+
+        fields.set(coordinate, { deprecated: isDeprecated(field) })
+        lines.push(signature)
+      })
+  })
+
+  if (typeof schema.getDirectives === 'function') {
+    schema
+      .getDirectives()
+      .map((directive) => `@${directive.name} on ${directive.locations.join('|')}`)
+      .sort()
+      .forEach((line) => lines.push(line))
+  }
+
+  const hash = crypto.createHash('sha256').update(lines.join('\n')).digest('hex')
+
+  return {
+    hash,
+    typeCount: typeNames.length,
+    fieldCount: fields.size,
+    fields
+  }
+}
+
+function describeType(type) {
+  let description = `${type.constructor.name} ${type.name}`
+
+  const interfaces = typeof type.getInterfaces === 'function' ? type.getInterfaces() : []
+  if (interfaces.length) {
+    const interfaceNames = interfaces.map((iface) => iface.name)
+    description += ` implements ${interfaceNames.sort().join('&')}`
+  }
+
+  if (typeof type.getTypes === 'function') {
+    const members = type.getTypes().map((member) => member.name)
+    description += ` = ${members.sort().join('|')}`
+  }
+
+  if (typeof type.getValues === 'function') {
+    const values = type
+      .getValues()
+      .map((value) => (isDeprecated(value) ? `${value.name} @deprecated` : value.name))
+    description += ` { ${values.sort().join(' ')} }`
+  }
+
+  return description
+}
+
+function describeField(coordinate, field) {
+  const args = (field.args || []).map((arg) => `${arg.name}: ${arg.type}`)
+  const argList = args.length ? `(${args.join(', ')})` : ''
+  const deprecation = isDeprecated(field) ? ` @deprecated(${field.deprecationReason})` : ''
+
+  return `${coordinate}${argList}: ${field.type}${deprecation}`
+}
+
+function isDeprecated(member) {
+  // `isDeprecated` was removed in graphql 16.
+  return member.deprecationReason != null || member.isDeprecated === true
+}
+
+/**
+ * Returns the schema type of the root fields of an operation.
+ *
+ * @param {Object} schema GraphQL schema
+ * @param {string} operationType query, mutation or subscription
+ * @returns {Object|null} root type
+ */
+function getRootType(schema, operationType) {
+  const getters = {
+    query: 'getQueryType',
+    mutation: 'getMutationType',
+    subscription: 'getSubscriptionType'
+  }
+
+  const getter = schema && getters[operationType]
+  return getter && typeof schema[getter] === 'function' ? schema[getter]() : null
+}
+
+/**
+ * Lists the fields added, removed or newly deprecated between two versions of a schema.
+ *
+ * @param {Object} previous details of the prior schema
+ * @param {Object} current details of the updated schema
+ * @returns {Object} coordinates of the added, removed and deprecated fields
+ */
+function diffSchemaDetails(previous, current) {
+  const added = []
+  const removed = []
+  const deprecated = []
+
+  current.fields.forEach((field, coordinate) => {
+    const previousField = previous.fields.get(coordinate)
+    if (!previousField) {
+      added.push(coordinate)
+    } else if (field.deprecated && !previousField.deprecated) {
+      deprecated.push(coordinate)
+    }
+  })
+
+  previous.fields.forEach((field, coordinate) => {
+    if (!current.fields.has(coordinate)) {
+      removed.push(coordinate)
+    }
+  })
+
+  return { added, removed, deprecated }
+}
+
+/**
+ * Records a `GraphQLSchemaChange` custom event when the loaded schema
+ * differs from the schema last seen by the plugin. For gateways, this
+ * happens whenever the supergraph is updated at runtime.
+ *
+ * @param {Object} params
+ * @param {Object} params.api New Relic API
+ * @param {Object} params.logger plugin logger
+ * @param {Object} params.schemaState state shared by all requests, holding the current schema details
+ * @param {Object} params.schema loaded schema
+ * @param {boolean} [params.isSupergraph] whether the schema was composed by a gateway
+ */
+function recordSchemaChange({ api, logger, schemaState, schema, isSupergraph = false }) {
+  if (!schema || typeof schema.getTypeMap !== 'function') {
+    return
+  }
+
+  const previous = schemaState.details
+  const current = getSchemaDetails(schema)
+
+  if (previous && previous.hash === current.hash) {
+    logger.trace('Schema unchanged (%s).', current.hash)
+    return
+  }
+
+  schemaState.details = current
+  logger.debug('Schema loaded (%s).', current.hash)
+
+  const event = {
+    schemaHash: current.hash,
+    typeCount: current.typeCount,
+    fieldCount: current.fieldCount,
+    isSupergraph
+  }
+
+  if (previous) {
+    const { added, removed, deprecated } = diffSchemaDetails(previous, current)
+
+    Object.assign(event, {
+      previousSchemaHash: previous.hash,
+      addedFieldCount: added.length,
+      removedFieldCount: removed.length,
+      deprecatedFieldCount: deprecated.length,
+      addedFields: formatFieldList(added),
+      removedFields: formatFieldList(removed),
+      deprecatedFields: formatFieldList(deprecated)
+    })
+  }
+
+  api.recordCustomEvent(SCHEMA_CHANGE_EVENT, event)
+}
+
+function formatFieldList(coordinates) {
+  return coordinates.slice(0, MAX_DIFF_FIELDS).join(',')
+}
+
+module.exports = {
+  SCHEMA_CHANGE_EVENT,
+  diffSchemaDetails,
+  getRootType,
+  getSchemaDetails,
+  isDeprecated,
+  recordSchemaChange
+}
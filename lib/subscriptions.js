@@ -0,0 +1,451 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const ErrorHelper = require('./error-helper.js')
+const { getErrorRedaction } = require('./error-redaction')
+const {
+  createOperationNaming,
+  getTransactionNaming,
+  nameOperation,
+  registerOperationName
+} = require('./transaction-naming')
+const { getMaxQueryLength, getQueryCapture, getQueryLiteralAllowlist } = require('./query-utils')
+const errorHelper = new ErrorHelper()
+const {
+  CATEGORY,
+  FRAMEWORK,
+  OPERATION_PREFIX,
+  addOperationAttributes,
+  countOperationErrors,
+  endOperationSegment,
+  getOperationDetails,
+  recordSegment,
+  resetResolverBudget,
+  startResolverSegment
+} = require('./create-plugin')
+
+const NOTICED_ERRORS = ErrorHelper.NOTICED_ERRORS
+const NOTICED_ERROR_GROUPS = ErrorHelper.NOTICED_ERROR_GROUPS
+
+const TRANSACTION_GROUP = CATEGORY
+const EVENT_PREFIX = `${CATEGORY}/event/${FRAMEWORK}`
+
+const EVENT_COUNT_ATTR = 'graphql.subscription.eventCount'
+const LIFETIME_ATTR = 'graphql.subscription.lifetime'
+
+// Active subscriptions keyed by their transaction. Resolvers executing
+// for a published event look up their subscription via the active segment
+// as the context value is not guaranteed to be unique per subscription.
+const subscriptions = new WeakMap()
+
+// Schemas whose resolvers were wrapped, and the wrapped resolvers,
+// so each resolver is only wrapped once.
+const instrumentedSchemas = new WeakSet()
+const WRAPPED_RESOLVE = Symbol('New Relic Wrapped Resolve')
+
+/**
+ * Wraps a GraphQL `subscribe` function, such as the one passed to a graphql-ws
+ * or graphql-sse server, to record each subscription as a background transaction.
+ *
+ * Subscriptions do not flow through the Apollo Server request pipeline so the
+ * plugin hooks are never invoked for them.
+ *
+ * @param {*} api New Relic API
+ * @param {Function} subscribe `subscribe` function from graphql to instrument
+ * @param {PluginConfig} [config]
+ * @returns {Function} instrumented `subscribe` function
+ */
+function instrumentSubscribe(api, subscribe, config = {}) {
+  if (!api?.shim) {
+    return subscribe
+  }
+  const instrumentationApi = api.shim
+
+  const logger = instrumentationApi.logger.child({ component: 'ApolloServerPlugin' })
+
+  config.expectedErrors = ErrorHelper.getErrorMatcher(config.expectedErrors)
+  config.ignoredErrors = ErrorHelper.getErrorMatcher(config.ignoredErrors)
+  config.errorRedaction = getErrorRedaction(config.errorRedaction)
+  config.deduplicateErrors = config.deduplicateErrors === true
+  config.transactionNaming = getTransactionNaming(config.transactionNaming, logger)
+  config.queryCapture = getQueryCapture(config.queryCapture, logger)
+  config.maxQueryLength = getMaxQueryLength(config.maxQueryLength)
+  config.queryLiteralAllowlist = getQueryLiteralAllowlist(config.queryLiteralAllowlist)
+
+  const operationNaming = createOperationNaming({
+    config,
+    agent: instrumentationApi.agent,
+    logger
+  })
+
+  return function wrappedSubscribe(args) {
+    const document = args && args.document
+    // Without locations the raw query is not available, and not captured in `raw` mode.
+    const operationDetails =
+      document &&
+      getOperationDetails(
+        { document, source: document.loc?.source.body, schema: args.schema },
+        config
+      )
+
+    if (!operationDetails || operationDetails.operationType !== 'subscription') {
+      logger.trace('Not a subscription operation. Not recording.')
+      return subscribe.apply(this, arguments)
+    }
+
+    const formattedOperation = nameOperation(operationNaming, operationDetails)
+    const context = this
+    instrumentSchemaResolvers(instrumentationApi, args.schema)
+    const subscribeArgs = [getSubscribeArgs(instrumentationApi, args, config)]
+
+    let subscription = null
+    let result = null
+
+    api.startBackgroundTransaction(
+      formattedOperation,
+      TRANSACTION_GROUP,
+      function startSubscription() {
+        registerOperationName(operationNaming, formattedOperation)
+        const transactionHandle = api.getTransaction()
+
+        const operationSegment = instrumentationApi.createSegment(
+          `${OPERATION_PREFIX}/${formattedOperation}`,
+          recordSegment,
+          instrumentationApi.getActiveSegment()
+        )
+
+        if (operationSegment) {
+          operationSegment.start()
+          addOperationAttributes(operationSegment, operationDetails)
+
+          subscription = {
+            api,
+            config,
+            logger,
+            transactionHandle,
+            operationSegment,
+            eventSegment: null,
+            eventCount: 0,
+            ended: false
+          }
+          subscriptions.set(operationSegment.transaction, subscription)
+        } else {
+          logger.trace('Subscription segment was not created. Not recording.')
+          transactionHandle.end()
+        }
+
+        result = subscribe.apply(context, subscribeArgs)
+      }
+    )
+
+    if (!subscription) {
+      return result
+    }
+
+    return Promise.resolve(result).then(
+      (iteratorOrResult) => {
+        if (!isAsyncIterable(iteratorOrResult)) {
+          // Subscription could not be established, errors are in the result
+          noticeResultErrors(subscription, iteratorOrResult)
+          endSubscription(subscription)
+          return iteratorOrResult
+        }
+
+        return wrapIterator(subscription, iteratorOrResult)
+      },
+      (err) => {
+        instrumentationApi.applySegment(function addError() {
+          errorHelper.noticeError(instrumentationApi, err, { config })
+        }, subscription.operationSegment)
+        endSubscription(subscription)
+        throw err
+      }
+    )
+  }
+}
+
+/**
+ * Wraps the subscription result iterator to track each published event
+ * and end the subscription transaction once the iterator completes.
+ *
+ * @param {Object} subscription subscription state
+ * @param {AsyncIterator} iterator result iterator returned from `subscribe`
+ * @returns {AsyncIterator} wrapped iterator
+ */
+function wrapIterator(subscription, iterator) {
+  const instrumentationApi = subscription.api.shim
+
+  return {
+    next() {
+      // Events are executed lazily when the next result is pulled so
+      // resolvers run in the context of the subscription transaction.
+      const next = instrumentationApi.applySegment(
+        () => iterator.next(...arguments),
+        subscription.operationSegment
+      )
+
+      return Promise.resolve(next).then(
+        (iteratorResult) => {
+          if (iteratorResult.done) {
+            endSubscription(subscription)
+          } else {
+            endEvent(subscription, iteratorResult.value)
+          }
+
+          return iteratorResult
+        },
+        (err) => {
+          endSubscription(subscription)
+          throw err
+        }
+      )
+    },
+    return() {
+      endSubscription(subscription)
+      return iterator.return ? iterator.return(...arguments) : { value: undefined, done: true }
+    },
+    throw(err) {
+      endSubscription(subscription)
+      if (iterator.throw) {
+        return iterator.throw(...arguments)
+      }
+
+      return Promise.reject(err)
+    },
+    [Symbol.asyncIterator]() {
+      return this
+    }
+  }
+}
+
+/**
+ * Ends the segment of the event that just executed and notices
+ * any errors in the result that were not noticed at resolve.
+ *
+ * @param {Object} subscription subscription state
+ * @param {Object} result execution result of the event
+ */
+function endEvent(subscription, result) {
+  if (subscription.ended) {
+    return
+  }
+
+  subscription.eventCount++
+
+  noticeResultErrors(subscription, result)
+
+  // The resolver segment budget applies to each event.
+  resetResolverBudget(subscription.operationSegment, subscription.eventSegment)
+
+  if (subscription.eventSegment) {
+    subscription.eventSegment.end()
+    subscription.eventSegment = null
+  }
+
+  subscription[NOTICED_ERRORS] = null
+  // Errors are deduplicated per event rather than across the subscription.
+  subscription[NOTICED_ERROR_GROUPS] = null
+}
+
+/**
+ * Ends the operation segment, recording lifetime and event count,
+ * and ends the subscription transaction.
+ *
+ * @param {Object} subscription subscription state
+ */
+function endSubscription(subscription) {
+  if (subscription.ended) {
+    return
+  }
+
+  subscription.ended = true
+
+  const { operationSegment } = subscription
+
+  if (subscription.eventSegment) {
+    subscription.eventSegment.end()
+    subscription.eventSegment = null
+  }
+
+  endOperationSegment(operationSegment)
+  operationSegment.addAttribute(EVENT_COUNT_ATTR, subscription.eventCount)
+  operationSegment.addAttribute(LIFETIME_ATTR, operationSegment.getDurationInMillis())
+
+  subscriptions.delete(operationSegment.transaction)
+  subscription.transactionHandle.end()
+
+  subscription.logger.trace('Subscription ended after %d events.', subscription.eventCount)
+}
+
+function noticeResultErrors(subscription, result) {
+  if (!result || !result.errors) {
+    return
+  }
+
+  const instrumentationApi = subscription.api.shim
+  const segment = subscription.eventSegment || subscription.operationSegment
+
+  instrumentationApi.applySegment(function addErrors() {
+    errorHelper.addErrorsFromApolloRequestContext(
+      instrumentationApi,
+      {
+        errors: result.errors,
+        [NOTICED_ERRORS]: subscription[NOTICED_ERRORS],
+        [NOTICED_ERROR_GROUPS]: subscription[NOTICED_ERROR_GROUPS]
+      },
+      subscription.config
+    )
+  }, segment)
+
+  countOperationErrors({
+    config: subscription.config,
+    operationSegment: subscription.operationSegment,
+    errors: result.errors
+  })
+}
+
+/**
+ * Lazily creates the segment for the event currently being executed.
+ * Resolver segments of the event are nested under it.
+ *
+ * @param {Object} subscription subscription state
+ * @returns {Segment} event segment, or operation segment if event segment not created
+ */
+function getEventSegment(subscription) {
+  if (!subscription.eventSegment) {
+    const { operationSegment } = subscription
+    const instrumentationApi = subscription.api.shim
+
+    const eventSegment = instrumentationApi.createSegment(
+      operationSegment.name.replace(OPERATION_PREFIX, EVENT_PREFIX),
+      recordSegment,
+      operationSegment
+    )
+
+    if (!eventSegment) {
+      return operationSegment
+    }
+
+    eventSegment.start()
+    subscription.eventSegment = eventSegment
+  }
+
+  return subscription.eventSegment
+}
+
+/**
+ * Wraps the resolvers set on the schema, which are used in place of the
+ * `fieldResolver` passed to `subscribe`. Fields without a resolver are left
+ * as is, so other operations keep resolving them with their own `fieldResolver`.
+ *
+ * @param {Object} instrumentationApi New Relic instrumentation API
+ * @param {Object} schema schema the subscription is executed against
+ */
+function instrumentSchemaResolvers(instrumentationApi, schema) {
+  if (!schema || typeof schema.getTypeMap !== 'function' || instrumentedSchemas.has(schema)) {
+    return
+  }
+
+  instrumentedSchemas.add(schema)
+
+  Object.values(schema.getTypeMap()).forEach((type) => {
+    // Introspection types are not recorded.
+    if (type.name.startsWith('__') || typeof type.getFields !== 'function') {
+      return
+    }
+
+    Object.values(type.getFields()).forEach((field) => {
+      if (typeof field.resolve === 'function' && !field.resolve[WRAPPED_RESOLVE]) {
+        field.resolve = wrapResolver(instrumentationApi, field.resolve)
+        field.resolve[WRAPPED_RESOLVE] = true
+      }
+    })
+  })
+}
+
+/**
+ * Wraps the field resolver used for fields without a resolver of their own,
+ * the `fieldResolver` passed to `subscribe` or `config.defaultFieldResolver`.
+ * Without either, graphql's default is used and those fields are not recorded.
+ *
+ * @param {Object} instrumentationApi New Relic instrumentation API
+ * @param {Object} args arguments passed to `subscribe`
+ * @param {PluginConfig} config plugin config
+ * @returns {Object} arguments to call `subscribe` with
+ */
+function getSubscribeArgs(instrumentationApi, args, config) {
+  const fieldResolver = args.fieldResolver || config.defaultFieldResolver
+  if (!fieldResolver) {
+    return args
+  }
+
+  return Object.assign({}, args, { fieldResolver: wrapResolver(instrumentationApi, fieldResolver) })
+}
+
+/**
+ * Wraps a resolver to record resolver segments of subscription events.
+ * Resolves outside of a recorded subscription, such as those of queries
+ * executed against the same schema, are passed through as is.
+ *
+ * @param {Object} instrumentationApi New Relic instrumentation API
+ * @param {Function} resolve field resolver to wrap
+ * @returns {Function} wrapped field resolver
+ */
+function wrapResolver(instrumentationApi, resolve) {
+  return function wrappedResolve(source, args, contextValue, info) {
+    const activeSegment = instrumentationApi.getActiveSegment()
+    const subscription = activeSegment && subscriptions.get(activeSegment.transaction)
+
+    if (!subscription || subscription.ended) {
+      return resolve.apply(this, arguments)
+    }
+
+    const endResolve = startResolverSegment({
+      api: subscription.api,
+      config: subscription.config,
+      logger: subscription.logger,
+      operationSegment: subscription.operationSegment,
+      parentSegment: getEventSegment(subscription),
+      resolverContext: { source, args, contextValue, info },
+      requestContext: subscription
+    })
+
+    if (!endResolve) {
+      return resolve.apply(this, arguments)
+    }
+
+    let result = null
+    try {
+      result = resolve.apply(this, arguments)
+    } catch (err) {
+      endResolve(err)
+      throw err
+    }
+
+    if (instrumentationApi.isPromise(result)) {
+      return result.then(
+        (value) => {
+          endResolve()
+          return value
+        },
+        (err) => {
+          endResolve(err)
+          throw err
+        }
+      )
+    }
+
+    endResolve()
+    return result
+  }
+}
+
+function isAsyncIterable(value) {
+  return value != null && typeof value[Symbol.asyncIterator] === 'function'
+}
+
+module.exports = instrumentSubscribe
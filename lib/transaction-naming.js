@@ -0,0 +1,293 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { ANON_PLACEHOLDER } = require('./graphql-utils')
+
+const OVERFLOW_PLACEHOLDER = '<overflow>'
+const OVERFLOW_METRIC = 'Supportability/ApolloServerPlugin/TransactionNames/Overflow'
+const CLIENT_OVERFLOW_METRIC = 'Supportability/ApolloServerPlugin/ClientNames/Overflow'
+
+// Leaves room for the names of other transactions well within the
+// agent's transaction name limits, which lead to metric grouping issues.
+const MAX_TRANSACTION_NAMES = 1000
+
+// Every client name creates a set of metrics per operation name.
+const MAX_CLIENT_NAMES = 100
+
+/**
+ * Built-in strategies for naming operations. Each returns the name used for
+ * the transaction, the operation segment and the operation metric.
+ */
+const STRATEGIES = {
+  // <type>/<name>/<deepest unique path>
+  full({ operationType, operationName, deepestUniquePath }) {
+    let formattedOperation = `${operationType}/${operationName || ANON_PLACEHOLDER}`
+
+    // Certain requests, such as introspection, won't hit any resolvers
+    if (deepestUniquePath) {
+      formattedOperation += `/${deepestUniquePath}`
+    }
+
+    return formattedOperation
+  },
+  // <type>/<name>
+  operationName({ operationType, operationName }) {
+    return `${operationType}/${operationName || ANON_PLACEHOLDER}`
+  },
+  // <type>/<name>/<sorted root fields>
+  rootFields(operationDetails) {
+    const { rootFields } = operationDetails
+    const formattedOperation = STRATEGIES.operationName(operationDetails)
+    return rootFields && rootFields.length
+      ? `${formattedOperation}/${rootFields.join(',')}`
+      : formattedOperation
+  },
+  // <type>/<signature hash>
+  signatureHash(operationDetails) {
+    const { operationType, signatureHash } = operationDetails
+    return signatureHash
+      ? `${operationType}/${signatureHash}`
+      : STRATEGIES.operationName(operationDetails)
+  }
+}
+
+/**
+ * Normalizes the `transactionNaming` config. Unknown strategies fall back to `full`.
+ *
+ * @param {string|Function|Object} [naming] name of a built-in strategy, a function or an object with:
+ * @param {string|Function} [naming.strategy] name of a built-in strategy or a function
+ *  passed the operation details and returning the name
+ * @param {Array<Object>} [naming.rules] `{ pattern, replacement }` rewrites applied
+ *  to the operation name, in order, before the strategy
+ * @param {boolean} [naming.nameAnonymousBySignature] name anonymous operations
+ *  `<anonymous:[signature hash]>` instead of `<anonymous>`
+ * @param {Object} [logger] plugin logger
+ * @returns {Object} normalized naming
+ */
+function getTransactionNaming(naming, logger) {
+  const options = typeof naming === 'object' && naming !== null ? naming : { strategy: naming }
+
+  let strategy = options.strategy || STRATEGIES.full
+  if (typeof strategy === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(STRATEGIES, strategy)) {
+      logger?.warn('Unknown transactionNaming strategy %s, using full.', strategy)
+      strategy = 'full'
+    }
+
+    strategy = STRATEGIES[strategy]
+  }
+
+  const rules = (options.rules || []).map(({ pattern, replacement }) => ({
+    pattern: typeof pattern === 'string' ? new RegExp(pattern) : pattern,
+    replacement: replacement || ''
+  }))
+
+  return { strategy, rules, nameAnonymousBySignature: !!options.nameAnonymousBySignature }
+}
+
+/**
+ * Formats the operation with the configured naming, used to name the
+ * transaction, the operation segment and therefore the operation metric.
+ * Falls back to the `full` strategy when a function returns no name.
+ *
+ * @param {Object} operationDetails details parsed from the document
+ * @param {Object} [naming] normalized `transactionNaming` config
+ * @returns {string} formatted operation name
+ */
+function formatOperationName(operationDetails, naming) {
+  if (!naming) {
+    return STRATEGIES.full(operationDetails)
+  }
+
+  let { operationName } = operationDetails
+  if (operationName) {
+    operationName = naming.rules.reduce(
+      (name, rule) => name.replace(rule.pattern, rule.replacement),
+      operationName
+    )
+  } else if (naming.nameAnonymousBySignature && operationDetails.signatureHash) {
+    // Groups anonymous operations by what they select rather than together.
+    operationName = `<anonymous:${operationDetails.signatureHash}>`
+  }
+
+  const details = Object.assign({}, operationDetails, { operationName })
+  return naming.strategy(details) || STRATEGIES.full(details)
+}
+
+/**
+ * Creates the state used to name operations, tracking the distinct names
+ * produced to guard against unbounded transaction name cardinality.
+ * `config.maxTransactionNames` defaults to 1000.
+ *
+ * @param {Object} params
+ * @param {PluginConfig} params.config plugin config
+ * @param {Object} params.agent New Relic agent
+ * @param {Object} params.logger plugin logger
+ * @returns {Object} operation naming shared by all requests
+ */
+function createOperationNaming({ config, agent, logger }) {
+  return {
+    naming: config.transactionNaming,
+    option: 'maxTransactionNames',
+    overflowMetric: OVERFLOW_METRIC,
+    maxNames: config.maxTransactionNames || MAX_TRANSACTION_NAMES,
+    names: new Set(),
+    warned: false,
+    agent,
+    logger
+  }
+}
+
+/**
+ * Formats the operation name, collapsing it into `<type>/<overflow>` when it
+ * is new and `maxTransactionNames` distinct names were already registered.
+ * Overflows are counted in a supportability metric and warned about once.
+ * The name only counts against the max once registered with `registerOperationName`.
+ *
+ * @param {Object} operationNaming operation naming state
+ * @param {Object} operationDetails details parsed from the document
+ * @returns {string} formatted operation name
+ */
+function nameOperation(operationNaming, operationDetails) {
+  const name = formatOperationName(operationDetails, operationNaming.naming)
+  const overflowName = `${operationDetails.operationType}/${OVERFLOW_PLACEHOLDER}`
+  return limitName(operationNaming, name, overflowName)
+}
+
+/**
+ * Registers an operation name once it is applied to a transaction, counting
+ * it against `maxTransactionNames`. Operations that are named but never
+ * applied, such as documents that fail validation, do not use up the budget.
+ *
+ * @param {Object} operationNaming operation naming state
+ * @param {string} name name returned by `nameOperation`
+ */
+function registerOperationName(operationNaming, name) {
+  registerName(operationNaming, name)
+}
+
+/**
+ * Creates the state used to name clients in per-client metrics, tracking
+ * the distinct client names to guard against unbounded metric cardinality.
+ * `config.maxClientNames` defaults to 100.
+ *
+ * @param {Object} params
+ * @param {PluginConfig} params.config plugin config
+ * @param {Object} params.agent New Relic agent
+ * @param {Object} params.logger plugin logger
+ * @returns {Object} client naming shared by all requests
+ */
+function createClientNaming({ config, agent, logger }) {
+  return {
+    option: 'maxClientNames',
+    overflowMetric: CLIENT_OVERFLOW_METRIC,
+    maxNames: config.maxClientNames || MAX_CLIENT_NAMES,
+    names: new Set(),
+    warned: false,
+    agent,
+    logger
+  }
+}
+
+/**
+ * Gets the name of the client used in metric names. Client names are sent
+ * by clients, so `/` is replaced to keep the metric name structure, and new
+ * names are collapsed into `<overflow>` once `maxClientNames` is reached.
+ *
+ * @param {Object} clientNaming client naming state
+ * @param {string} clientName name of the client that sent the operation
+ * @returns {string} client name for metric names
+ */
+function nameClient(clientNaming, clientName) {
+  const name = String(clientName).replace(/\//g, '_')
+  const limitedName = limitName(clientNaming, name, OVERFLOW_PLACEHOLDER)
+  // Client names are applied to the metrics of the operation right away.
+  registerName(clientNaming, limitedName)
+  return limitedName
+}
+
+/**
+ * Keeps names already registered and new names until the max is reached,
+ * after which new names are replaced by the overflow name.
+ */
+function limitName(state, name, overflowName) {
+  const { names } = state
+  if (names.has(name) || names.size < state.maxNames) {
+    return name
+  }
+
+  state.agent.metrics.getOrCreateMetric(state.overflowMetric).incrementCallCount()
+
+  if (!state.warned) {
+    state.warned = true
+    state.logger.warn(
+      `Reached ${state.option} of %d distinct names. New names, starting with %s, are replaced by %s.`,
+      state.maxNames,
+      name,
+      overflowName
+    )
+  }
+
+  return overflowName
+}
+
+/**
+ * Counts the name against the max. Overflow names are never added,
+ * as they are only returned once the max is reached.
+ */
+function registerName(state, name) {
+  if (state.names.size < state.maxNames) {
+    state.names.add(name)
+  }
+}
+
+/**
+ * Finds the names of the fields selected at the root of the operation,
+ * including those selected through fragments. Aliases are ignored.
+ *
+ * @param {Object} definition operation definition
+ * @param {Object} fragments fragment definitions keyed by name
+ * @returns {Array<string>} sorted unique root field names
+ */
+function getRootFields(definition, fragments) {
+  const fields = new Set()
+  const visitedFragments = new Set()
+
+  const collect = (selections) => {
+    selections.forEach((selection) => {
+      if (selection.kind === 'Field') {
+        fields.add(selection.name.value)
+      } else if (selection.kind === 'InlineFragment') {
+        collect(selection.selectionSet.selections)
+      } else if (selection.kind === 'FragmentSpread') {
+        const fragment = fragments[selection.name.value]
+        if (fragment && !visitedFragments.has(fragment)) {
+          visitedFragments.add(fragment)
+          collect(fragment.selectionSet.selections)
+        }
+      }
+    })
+  }
+
+  collect(definition.selectionSet.selections)
+
+  return [...fields].sort()
+}
+
+module.exports = {
+  CLIENT_OVERFLOW_METRIC,
+  OVERFLOW_METRIC,
+  STRATEGIES,
+  createClientNaming,
+  createOperationNaming,
+  formatOperationName,
+  getRootFields,
+  getTransactionNaming,
+  nameClient,
+  nameOperation,
+  registerOperationName
+}
@@ -43,6 +43,18 @@ function findSegmentByName(root, name) {
   return null
 }
 
+/**
+ * Finds the resolver segments of an operation, skipping the
+ * parse and validate segments that precede resolvers.
+ */
+function findResolverSegments(operationSegment) {
+  return operationSegment.children.filter((child) => child.name.startsWith('GraphQL/resolve/'))
+}
+
+function findFirstResolverSegment(operationSegment) {
+  return findResolverSegments(operationSegment)[0]
+}
+
 function temporarySetEnv(t, key, value) {
   const existing = process.env[key]
   process.env[key] = value
@@ -68,6 +80,8 @@ module.exports = {
   getSpanEvents,
   findSpanById,
   findSegmentByName,
+  findResolverSegments,
+  findFirstResolverSegment,
   temporarySetEnv,
   setupEnvConfig
 }
@@ -0,0 +1,136 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { executeQuery } = require('../test-client')
+const { setupEnvConfig, findSegmentByName, findResolverSegments } = require('../agent-testing')
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const RESOLVE_PREFIX = 'GraphQL/resolve/ApolloServer'
+const TYPED_RESOLVE_PREFIX = 'GraphQL/typedResolve/ApolloServer'
+
+const SEGMENT_DESTINATION = 0x20
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+setupApolloServerTests({
+  suiteName: 'aggregateListResolvers: true',
+  createTests: createAggregateTests,
+  pluginConfig: {
+    aggregateListResolvers: true
+  }
+})
+
+function createAggregateTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should collapse list item resolves into one segment', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const expectedName = 'GetAllForLibrary'
+    const query = `query ${expectedName} {
+      library(branch: "downtown") {
+        books {
+          title
+          author {
+            name
+          }
+        }
+        magazines {
+          title
+          issue
+        }
+      }
+    }`
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/query/${expectedName}/library`
+      )
+
+      const resolverNames = findResolverSegments(operationSegment).map((segment) => segment.name)
+      t.same(resolverNames.sort(), [
+        `${RESOLVE_PREFIX}/library`,
+        `${RESOLVE_PREFIX}/library.books`,
+        `${RESOLVE_PREFIX}/library.books.author`,
+        `${RESOLVE_PREFIX}/library.magazines`
+      ])
+
+      const authorSegment = findSegmentByName(
+        operationSegment,
+        `${RESOLVE_PREFIX}/library.books.author`
+      )
+      const attributes = authorSegment.attributes.get(SEGMENT_DESTINATION)
+      t.match(attributes, {
+        'graphql.field.path': 'library.books.author',
+        'graphql.field.callCount': 2,
+        'graphql.field.errorCount': 0,
+        'graphql.field.minDuration': Number,
+        'graphql.field.maxDuration': Number,
+        'graphql.field.totalDuration': Number
+      })
+      t.ok(attributes['graphql.field.minDuration'] <= attributes['graphql.field.maxDuration'])
+
+      const libraryAttributes = findSegmentByName(
+        operationSegment,
+        `${RESOLVE_PREFIX}/library`
+      ).attributes.get(SEGMENT_DESTINATION)
+      t.notOk(libraryAttributes['graphql.field.callCount'], 'should not aggregate non-list fields')
+
+      const scope = transaction.name
+      t.metrics([
+        { name: `${RESOLVE_PREFIX}/author`, scope },
+        `${TYPED_RESOLVE_PREFIX}/Book.author`
+      ])
+
+      const authorMetric = helper.agent.metrics.getMetric(`${RESOLVE_PREFIX}/author`)
+      t.equal(authorMetric.callCount, 2, 'should record metric per list item resolve')
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+
+  t.test('should keep aggregates separate per path', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const query = `query {
+      libraries {
+        books {
+          author {
+            name
+          }
+        }
+        magazines {
+          title
+        }
+      }
+    }`
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/query/<anonymous>/libraries`
+      )
+
+      const resolverNames = findResolverSegments(operationSegment).map((segment) => segment.name)
+      t.same(resolverNames.sort(), [
+        `${RESOLVE_PREFIX}/libraries`,
+        `${RESOLVE_PREFIX}/libraries.books`,
+        `${RESOLVE_PREFIX}/libraries.books.author`,
+        `${RESOLVE_PREFIX}/libraries.magazines`
+      ])
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
@@ -0,0 +1,149 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const http = require('http')
+const tap = require('tap')
+
+const utils = require('@newrelic/test-utilities')
+utils.assert.extendTap(tap)
+
+const { findSegmentByName } = require('../agent-testing')
+const { clearCachedModules } = require('../utils')
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const DEPRECATED_PREFIX = 'GraphQL/deprecated/ApolloServer'
+
+const SEGMENT_DESTINATION = 0x20
+
+const typeDefs = `
+  enum SortOrder {
+    TITLE
+    ISBN @deprecated(reason: "Sort by TITLE")
+  }
+
+  type Book {
+    title: String
+    isbn: String @deprecated(reason: "No longer tracked")
+  }
+
+  type Query {
+    books(sort: SortOrder): [Book]
+  }
+`
+
+const books = [{ title: 'Node Agent: The Book', isbn: '123' }]
+
+const query = `query GetBooks($sort: SortOrder) {
+  books(sort: $sort) {
+    title
+    isbn
+  }
+}`
+
+tap.test('apollo-server: captureDeprecatedUsage', (t) => {
+  t.autoend()
+
+  let helper = null
+  let server = null
+  let serverUrl = null
+
+  t.before(async () => {
+    helper = utils.TestAgent.makeFullyInstrumented()
+    const createPlugin = require('../../lib/create-plugin')
+
+    const { ApolloServer } = require('apollo-server')
+    server = new ApolloServer({
+      typeDefs,
+      resolvers: {
+        Query: {
+          books: () => books
+        }
+      },
+      plugins: [createPlugin(helper.getAgentApi(), { captureDeprecatedUsage: true })]
+    })
+
+    const { url } = await server.listen({ port: 0 })
+    serverUrl = url
+  })
+
+  t.teardown(async () => {
+    await server.stop()
+    helper.unload()
+    clearCachedModules(['express', 'apollo-server'], __dirname)
+  })
+
+  t.test('should record deprecated members used with the client', (t) => {
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/query/GetBooks/books`
+      )
+
+      t.match(operationSegment.attributes.get(SEGMENT_DESTINATION), {
+        'graphql.operation.deprecatedUsage': 'Book.isbn,SortOrder.ISBN',
+        'graphql.client.name': 'bookstore-web',
+        'graphql.client.version': '1.2.3'
+      })
+
+      t.metrics([`${DEPRECATED_PREFIX}/Book.isbn`, `${DEPRECATED_PREFIX}/SortOrder.ISBN`])
+    })
+
+    const headers = {
+      'apollographql-client-name': 'bookstore-web',
+      'apollographql-client-version': '1.2.3'
+    }
+    postJson(serverUrl, { query, variables: { sort: 'ISBN' } }, headers, (err, result) => {
+      t.error(err)
+      t.same(result.data.books, books)
+      t.end()
+    })
+  })
+
+  t.test('should not tag operations without deprecated usage', (t) => {
+    const currentQuery = '{ books(sort: TITLE) { title } }'
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/query/<anonymous>/books.title`
+      )
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.notOk(attributes['graphql.operation.deprecatedUsage'])
+      t.notOk(attributes['graphql.client.name'])
+    })
+
+    postJson(serverUrl, { query: currentQuery }, {}, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+})
+
+function postJson(url, json, headers, callback) {
+  const postData = JSON.stringify(json)
+  const options = {
+    method: 'POST',
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(postData)
+    }
+  }
+
+  const req = http.request(url, options, (res) => {
+    let data = ''
+    res.on('data', (chunk) => {
+      data += chunk
+    })
+    res.on('end', () => callback(null, JSON.parse(data)))
+  })
+
+  req.on('error', callback)
+  req.write(postData)
+  req.end()
+}
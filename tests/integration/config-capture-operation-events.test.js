@@ -0,0 +1,123 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { executeQuery } = require('../test-client')
+const { setupEnvConfig } = require('../agent-testing')
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+const OPERATION_EVENT = 'GraphQLOperation'
+
+setupApolloServerTests({
+  suiteName: 'captureOperationEvents',
+  createTests: createEventTests,
+  pluginConfig: {
+    captureOperationEvents: true,
+    maxOperationEventsPerMinute: 2,
+    // Sent by the test client
+    clientNameHeader: 'client-name'
+  }
+})
+
+setupApolloServerTests({
+  suiteName: 'captureOperationEvents disabled',
+  createTests: createDisabledTests
+})
+
+function getOperationEvents(agent) {
+  return agent.customEventAggregator
+    .getEvents()
+    .filter(([intrinsics]) => intrinsics.type === OPERATION_EVENT)
+    .map(([, attributes]) => attributes)
+}
+
+function createEventTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should record an event per operation', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const query = `query GetBooksByLibrary {
+      library(branch: "riverside") {
+        books {
+          title
+        }
+      }
+    }`
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+
+      const events = getOperationEvents(helper.agent)
+      t.equal(events.length, 1)
+
+      const [event] = events
+      t.match(event, {
+        operationType: 'query',
+        operationName: 'GetBooksByLibrary',
+        deepestPath: 'library.books.title',
+        duration: Number,
+        resolverCount: 2,
+        errorCount: 0,
+        clientName: 'ApolloTestClient',
+        responseCacheHit: false
+      })
+      t.notOk('clientVersion' in event, 'should not add missing attributes')
+      t.end()
+    })
+  })
+
+  t.test('should count errors of the operation', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const query = `query GetMissingField {
+      library(branch: "riverside") {
+        doesNotExist
+      }
+    }`
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+
+      const events = getOperationEvents(helper.agent)
+      t.equal(events.length, 2)
+      // Events are not kept in the order they were recorded.
+      const event = events.find(({ operationName }) => operationName === 'GetMissingField')
+      t.match(event, {
+        resolverCount: 0,
+        errorCount: 1
+      })
+      t.end()
+    })
+  })
+
+  t.test('should not record events over the cap', (t) => {
+    const { helper, serverUrl } = t.context
+
+    executeQuery(serverUrl, '{ hello }', (err) => {
+      t.error(err)
+
+      t.equal(getOperationEvents(helper.agent).length, 2)
+      t.end()
+    })
+  })
+}
+
+function createDisabledTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should not record events by default', (t) => {
+    const { helper, serverUrl } = t.context
+
+    executeQuery(serverUrl, '{ hello }', (err) => {
+      t.error(err)
+
+      t.equal(getOperationEvents(helper.agent).length, 0)
+      t.end()
+    })
+  })
+}
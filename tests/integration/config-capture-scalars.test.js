@@ -10,6 +10,8 @@ const { setupEnvConfig } = require('../agent-testing')
 
 const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
 const RESOLVE_PREFIX = 'GraphQL/resolve/ApolloServer'
+const PARSE_SEGMENT_NAME = 'GraphQL/parse/ApolloServer'
+const VALIDATE_SEGMENT_NAME = 'GraphQL/validate/ApolloServer'
 const TRANSACTION_PREFIX = 'WebTransaction/Expressjs/POST'
 
 const { setupApolloServerTests } = require('./apollo-server-setup')
@@ -78,6 +80,8 @@ function createNoScalarTests(t) {
                     {
                       name: `${OPERATION_PREFIX}/${operationPart}`,
                       children: [
+                        { name: PARSE_SEGMENT_NAME },
+                        { name: VALIDATE_SEGMENT_NAME },
                         {
                           name: `${RESOLVE_PREFIX}/library`,
                           children: [
@@ -159,6 +163,8 @@ function createScalarTests(t) {
                     {
                       name: `${OPERATION_PREFIX}/${operationPart}`,
                       children: [
+                        { name: PARSE_SEGMENT_NAME },
+                        { name: VALIDATE_SEGMENT_NAME },
                         {
                           name: `${RESOLVE_PREFIX}/library`,
                           children: [
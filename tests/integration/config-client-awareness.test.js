@@ -0,0 +1,172 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { executeQuery } = require('../test-client')
+const { setupEnvConfig, findSegmentByName } = require('../agent-testing')
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const CLIENT_PREFIX = 'GraphQL/client'
+
+const SEGMENT_DESTINATION = 0x20
+const TRANS_EVENT_DESTINATION = 0x01
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+const expectedName = 'GetAllForLibrary'
+const query = `query ${expectedName} {
+  library(branch: "downtown") {
+    books {
+      title
+    }
+  }
+}`
+const operationPart = `query/${expectedName}/library.books.title`
+
+setupApolloServerTests({
+  suiteName: 'clientNameHeader with captureClientMetrics',
+  createTests: createHeaderTests,
+  pluginConfig: {
+    // Sent by the test client
+    clientNameHeader: 'client-name',
+    captureClientMetrics: true
+  }
+})
+
+setupApolloServerTests({
+  suiteName: 'clientInfoExtractor',
+  createTests: createExtractorTests,
+  pluginConfig: {
+    clientInfoExtractor(requestContext) {
+      return { name: 'extracted-client', version: requestContext.request.http.method }
+    }
+  }
+})
+
+// Client names of consecutive requests.
+const clientNames = ['web/app', 'ios']
+
+setupApolloServerTests({
+  suiteName: 'captureClientMetrics with maxClientNames',
+  createTests: createClientNamingTests,
+  pluginConfig: {
+    clientInfoExtractor() {
+      return { name: clientNames.shift() }
+    },
+    captureClientMetrics: true,
+    maxClientNames: 1
+  }
+})
+
+function createHeaderTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should add client to operation segment, transaction and metrics', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/${operationPart}`
+      )
+
+      const segmentAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.equal(segmentAttributes['graphql.client.name'], 'ApolloTestClient')
+      t.notOk(segmentAttributes['graphql.client.version'], 'should not add missing version')
+
+      const transactionAttributes = transaction.trace.attributes.get(TRANS_EVENT_DESTINATION)
+      t.equal(transactionAttributes['graphql.client.name'], 'ApolloTestClient')
+
+      const clientMetricName = `${CLIENT_PREFIX}/ApolloTestClient/operation/ApolloServer/${operationPart}`
+      t.metrics([
+        { name: clientMetricName, scope: transaction.name },
+        clientMetricName,
+        `${OPERATION_PREFIX}/${operationPart}`
+      ])
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
+
+function createExtractorTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should use extractor when headers are not sent', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/${operationPart}`
+      )
+
+      t.match(operationSegment.attributes.get(SEGMENT_DESTINATION), {
+        'graphql.client.name': 'extracted-client',
+        'graphql.client.version': 'POST'
+      })
+
+      const clientMetric = helper.agent.metrics.getMetric(
+        `${CLIENT_PREFIX}/extracted-client/operation/ApolloServer/${operationPart}`
+      )
+      t.notOk(clientMetric, 'should not record client metrics by default')
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
+
+function createClientNamingTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should replace slashes of client name in metrics', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/${operationPart}`
+      )
+
+      const segmentAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.equal(segmentAttributes['graphql.client.name'], 'web/app', 'should keep attribute')
+
+      t.metrics([`${CLIENT_PREFIX}/web_app/operation/ApolloServer/${operationPart}`])
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+
+  t.test('should collapse new client names past maxClientNames', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', () => {
+      t.metrics([
+        `${CLIENT_PREFIX}/<overflow>/operation/ApolloServer/${operationPart}`,
+        'Supportability/ApolloServerPlugin/ClientNames/Overflow'
+      ])
+
+      const clientMetric = helper.agent.metrics.getMetric(
+        `${CLIENT_PREFIX}/ios/operation/ApolloServer/${operationPart}`
+      )
+      t.notOk(clientMetric)
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
@@ -0,0 +1,173 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const tap = require('tap')
+
+const utils = require('@newrelic/test-utilities')
+utils.assert.extendTap(tap)
+
+const { executeQuery } = require('../test-client')
+const { setupEnvConfig, getErrorTraces } = require('../agent-testing')
+const { clearCachedModules } = require('../utils')
+
+const DUPLICATE_ERRORS_PREFIX = 'GraphQL/duplicateErrors/ApolloServer'
+
+const typeDefs = `
+  type Book {
+    title: String
+    author: String
+  }
+
+  type Query {
+    books: [Book]
+  }
+`
+
+const books = [
+  { title: 'Node Agent: The Book' },
+  { title: 'Be a hero: fixing the things you broke' },
+  { title: 'Bash Basics' }
+]
+
+// The author resolver throws for every book, with the title in the message.
+const query = 'query GetBooks { books { title author } }'
+
+// Both fields fail validation with the same message template, but have no path.
+const invalidQuery = 'query Invalid { doesnotexist alsodoesnotexist }'
+
+setupDeduplicateTests('deduplicateErrors enabled', { deduplicateErrors: true }, (t) => {
+  t.test('should notice first error of a list with occurrence count', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const errorTraces = getErrorTraces(helper.agent)
+      t.equal(errorTraces.length, 1, 'should notice one error')
+
+      const [, , errorMessage, , params] = errorTraces[0]
+      t.equal(errorMessage, 'Author of "Node Agent: The Book" not found')
+      t.equal(params.userAttributes['graphql.error.occurrences'], 3)
+
+      t.metrics([`${DUPLICATE_ERRORS_PREFIX}/INTERNAL_SERVER_ERROR`])
+      const metric = transaction.metrics.getMetric(
+        `${DUPLICATE_ERRORS_PREFIX}/INTERNAL_SERVER_ERROR`
+      )
+      t.equal(metric.callCount, 2, 'should count duplicates')
+    })
+
+    executeQuery(serverUrl, query, (err, result) => {
+      t.error(err)
+      t.equal(result.errors.length, 3, 'should not change response')
+      t.end()
+    })
+  })
+
+  t.test('should notice every error without a path', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const errorTraces = getErrorTraces(helper.agent)
+      t.equal(errorTraces.length, 2)
+
+      const errorMessages = errorTraces.map((errorTrace) => errorTrace[2])
+      t.same(errorMessages, [
+        'Cannot query field "doesnotexist" on type "Query".',
+        'Cannot query field "alsodoesnotexist" on type "Query".'
+      ])
+
+      const metric = transaction.metrics.getMetric(
+        `${DUPLICATE_ERRORS_PREFIX}/GRAPHQL_VALIDATION_FAILED`
+      )
+      t.notOk(metric, 'should not record duplicate metric')
+    })
+
+    executeQuery(serverUrl, invalidQuery, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+})
+
+setupDeduplicateTests('deduplicateErrors default', {}, createNoticeEveryErrorTests)
+
+setupDeduplicateTests(
+  'deduplicateErrors disabled',
+  { deduplicateErrors: false },
+  createNoticeEveryErrorTests
+)
+
+function createNoticeEveryErrorTests(t) {
+  t.test('should notice every error', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const errorTraces = getErrorTraces(helper.agent)
+      t.equal(errorTraces.length, 3)
+      t.notOk(errorTraces[0][4].userAttributes['graphql.error.occurrences'])
+
+      const metric = transaction.metrics.getMetric(
+        `${DUPLICATE_ERRORS_PREFIX}/INTERNAL_SERVER_ERROR`
+      )
+      t.notOk(metric, 'should not record duplicate metric')
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
+
+function setupDeduplicateTests(suiteName, pluginConfig, createTests) {
+  tap.test(`apollo-server: ${suiteName}`, (t) => {
+    t.autoend()
+
+    let helper = null
+    let server = null
+
+    t.before(async () => {
+      helper = utils.TestAgent.makeFullyInstrumented()
+      const createPlugin = require('../../lib/create-plugin')
+
+      const resolvers = {
+        Query: {
+          books: () => books
+        },
+        Book: {
+          author: (book) => {
+            throw new Error(`Author of "${book.title}" not found`)
+          }
+        }
+      }
+
+      const { ApolloServer } = require('apollo-server')
+      server = new ApolloServer({
+        typeDefs,
+        resolvers,
+        plugins: [createPlugin(helper.getAgentApi(), pluginConfig)]
+      })
+
+      const { url } = await server.listen({ port: 0 })
+
+      t.context.helper = helper
+      t.context.serverUrl = url
+    })
+
+    t.afterEach(() => {
+      helper.agent.errors.traceAggregator.clear()
+    })
+
+    t.teardown(async () => {
+      await server.stop()
+
+      helper.unload()
+      clearCachedModules(['express', 'apollo-server'], __dirname)
+    })
+
+    setupEnvConfig(t)
+    createTests(t)
+  })
+}
@@ -0,0 +1,64 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { executeQuery } = require('../test-client')
+const { setupEnvConfig, getErrorTraces } = require('../agent-testing')
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+setupApolloServerTests({
+  suiteName: 'errorRedaction',
+  createTests: createRedactionTests,
+  pluginConfig: {
+    errorRedaction: {
+      patterns: [/dynamite/, /doesnotexist/]
+    }
+  }
+})
+
+function createRedactionTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should redact resolver errors noticed at resolve', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', () => {
+      const errorTraces = getErrorTraces(helper.agent)
+      t.equal(errorTraces.length, 1)
+
+      const [, , errorMessage, errorType, params] = errorTraces[0]
+      t.equal(errorMessage, 'Boom goes the [REDACTED]!')
+      t.equal(errorType, 'Error')
+      t.equal(params.stack_trace[0], 'Error: Boom goes the [REDACTED]!')
+      t.ok(params.stack_trace.length > 1, 'should keep the stack trace')
+    })
+
+    executeQuery(serverUrl, 'query Boom { boom }', (err, result) => {
+      t.error(err)
+      t.equal(result.errors[0].message, 'Boom goes the dynamite!', 'should not redact response')
+      t.end()
+    })
+  })
+
+  t.test('should redact request errors', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', () => {
+      const errorTraces = getErrorTraces(helper.agent)
+      t.equal(errorTraces.length, 1)
+
+      const [, , errorMessage, errorType] = errorTraces[0]
+      t.equal(errorMessage, 'Cannot query field "[REDACTED]" on type "Query".')
+      t.equal(errorType, 'GraphQLError')
+    })
+
+    executeQuery(serverUrl, 'query Invalid { doesnotexist }', (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
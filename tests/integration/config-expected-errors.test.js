@@ -0,0 +1,103 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { executeQuery } = require('../test-client')
+const { setupEnvConfig, getErrorTraces } = require('../agent-testing')
+
+const ERRORS_PREFIX = 'GraphQL/errors/ApolloServer'
+const EXPECTED_ERRORS_PREFIX = 'GraphQL/expectedErrors/ApolloServer'
+const IGNORED_ERRORS_PREFIX = 'GraphQL/ignoredErrors/ApolloServer'
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+setupApolloServerTests({
+  suiteName: 'expectedErrors and ignoredErrors',
+  createTests: createExpectedErrorTests,
+  pluginConfig: {
+    expectedErrors: { codes: ['BAD_USER_INPUT'] },
+    ignoredErrors: {
+      classes: ['AuthenticationError'],
+      predicate: (error) => error.message === 'forbidden error'
+    }
+  }
+})
+
+function createExpectedErrorTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should notice errors matching expectedErrors as expected', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const errorTraces = getErrorTraces(helper.agent)
+      t.equal(errorTraces.length, 1)
+
+      const [, , errorMessage, , params] = errorTraces[0]
+      t.equal(errorMessage, 'user input error')
+      t.equal(params.intrinsics['error.expected'], true)
+      t.equal(params.userAttributes['graphql.error.code'], 'BAD_USER_INPUT')
+
+      t.metrics([
+        { name: `${EXPECTED_ERRORS_PREFIX}/BAD_USER_INPUT`, scope: transaction.name },
+        `${EXPECTED_ERRORS_PREFIX}/BAD_USER_INPUT`,
+        `${ERRORS_PREFIX}/BAD_USER_INPUT`
+      ])
+    })
+
+    executeQuery(serverUrl, 'query UserInput { userInputError }', (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+
+  t.test('should not notice errors matching ignoredErrors classes', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', () => {
+      t.equal(getErrorTraces(helper.agent).length, 0)
+      t.metrics([`${IGNORED_ERRORS_PREFIX}/UNAUTHENTICATED`, `${ERRORS_PREFIX}/UNAUTHENTICATED`])
+    })
+
+    executeQuery(serverUrl, 'query Auth { authError }', (err, result) => {
+      t.error(err)
+      t.equal(result.errors[0].extensions.code, 'UNAUTHENTICATED')
+      t.end()
+    })
+  })
+
+  t.test('should not notice errors matching ignoredErrors predicate', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', () => {
+      t.equal(getErrorTraces(helper.agent).length, 0)
+      t.metrics([`${IGNORED_ERRORS_PREFIX}/FORBIDDEN`])
+    })
+
+    executeQuery(serverUrl, 'query Forbidden { forbiddenError }', (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+
+  t.test('should notice other errors', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', () => {
+      const errorTraces = getErrorTraces(helper.agent)
+      t.equal(errorTraces.length, 1)
+
+      const [, , errorMessage, , params] = errorTraces[0]
+      t.equal(errorMessage, 'Boom goes the dynamite!')
+      t.notOk(params.intrinsics['error.expected'])
+    })
+
+    executeQuery(serverUrl, 'query Boom { boom }', (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
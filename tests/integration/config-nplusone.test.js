@@ -0,0 +1,211 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const http = require('http')
+const tap = require('tap')
+
+const utils = require('@newrelic/test-utilities')
+utils.assert.extendTap(tap)
+
+const { executeQuery } = require('../test-client')
+const { findSegmentByName } = require('../agent-testing')
+const { clearCachedModules } = require('../utils')
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const NPLUSONE_PREFIX = 'GraphQL/nplusone/ApolloServer'
+
+const SEGMENT_DESTINATION = 0x20
+
+const typeDefs = `
+  type Author {
+    name: String
+  }
+
+  type Book {
+    title: String
+    author: Author
+  }
+
+  type Query {
+    books: [Book]
+  }
+`
+
+const books = [
+  { title: 'Node Agent: The Book', author: 'Sentient Bits' },
+  { title: 'Be a hero: fixing the things you broke', author: '10x Developer' },
+  { title: 'Bash Basics', author: 'Shell Scripter' }
+]
+
+const query = `query GetBooks {
+  books {
+    title
+    author {
+      name
+    }
+  }
+}`
+
+setupNPlusOneTests('nPlusOneThreshold: 2', { nPlusOneThreshold: 2 }, (t) => {
+  t.test('should flag path resolving external calls per list item', (t) => {
+    const { helper, serverUrl } = t.context
+
+    onceOperationFinished(helper, (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/query/GetBooks/books`
+      )
+
+      t.match(operationSegment.attributes.get(SEGMENT_DESTINATION), {
+        'graphql.nplusone.path': 'books.author',
+        'graphql.nplusone.count': 3
+      })
+
+      t.metrics([
+        { name: `${NPLUSONE_PREFIX}/Book.author`, scope: transaction.name },
+        `${NPLUSONE_PREFIX}/Book.author`
+      ])
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+})
+
+setupNPlusOneTests('nPlusOneThreshold: 3', { nPlusOneThreshold: 3 }, (t) => {
+  t.test('should not flag path at or below threshold', (t) => {
+    const { helper, serverUrl } = t.context
+
+    onceOperationFinished(helper, (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/query/GetBooks/books`
+      )
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.notOk(attributes['graphql.nplusone.path'])
+
+      const metric = helper.agent.metrics.getMetric(`${NPLUSONE_PREFIX}/Book.author`)
+      t.notOk(metric, 'should not record N+1 metric')
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+})
+
+setupNPlusOneTests(
+  'nPlusOneThreshold with aggregateListResolvers',
+  { nPlusOneThreshold: 2, aggregateListResolvers: true },
+  (t) => {
+    t.test('should flag path of aggregated list item resolves', (t) => {
+      const { helper, serverUrl } = t.context
+
+      onceOperationFinished(helper, (transaction) => {
+        const operationSegment = findSegmentByName(
+          transaction.trace.root,
+          `${OPERATION_PREFIX}/query/GetBooks/books`
+        )
+
+        t.match(operationSegment.attributes.get(SEGMENT_DESTINATION), {
+          'graphql.nplusone.path': 'books.author',
+          'graphql.nplusone.count': 3
+        })
+
+        t.metrics([`${NPLUSONE_PREFIX}/Book.author`])
+      })
+
+      executeQuery(serverUrl, query, (err) => {
+        t.error(err)
+        t.end()
+      })
+    })
+  }
+)
+
+function setupNPlusOneTests(suiteName, pluginConfig, createTests) {
+  tap.test(`apollo-server: ${suiteName}`, (t) => {
+    t.autoend()
+
+    let helper = null
+    let server = null
+    let authorServer = null
+
+    t.before(async () => {
+      helper = utils.TestAgent.makeFullyInstrumented()
+      const createPlugin = require('../../lib/create-plugin')
+
+      // Stands in for a service each author is fetched from.
+      authorServer = http.createServer((req, res) => {
+        res.end(JSON.stringify({ name: decodeURIComponent(req.url.slice(1)) }))
+      })
+      await new Promise((resolve) => authorServer.listen(0, resolve))
+      const authorUrl = `http://localhost:${authorServer.address().port}`
+
+      const resolvers = {
+        Query: {
+          books: () => books
+        },
+        Book: {
+          author: (book) => fetchJson(`${authorUrl}/${encodeURIComponent(book.author)}`)
+        }
+      }
+
+      const { ApolloServer } = require('apollo-server')
+      server = new ApolloServer({
+        typeDefs,
+        resolvers,
+        plugins: [createPlugin(helper.getAgentApi(), pluginConfig)]
+      })
+
+      const { url } = await server.listen({ port: 0 })
+
+      t.context.helper = helper
+      t.context.serverUrl = url
+    })
+
+    t.teardown(async () => {
+      await server.stop()
+      await new Promise((resolve) => authorServer.close(resolve))
+
+      helper.unload()
+      clearCachedModules(['express', 'apollo-server'], __dirname)
+    })
+
+    createTests(t)
+  })
+}
+
+// The author service requests are also recorded as transactions.
+function onceOperationFinished(helper, callback) {
+  helper.agent.on('transactionFinished', function onFinished(transaction) {
+    if (!transaction.name.includes('GetBooks')) {
+      return
+    }
+
+    helper.agent.removeListener('transactionFinished', onFinished)
+    callback(transaction)
+  })
+}
+
+function fetchJson(url) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, (res) => {
+        let data = ''
+        res.on('data', (chunk) => {
+          data += chunk
+        })
+        res.on('end', () => resolve(JSON.parse(data)))
+      })
+      .on('error', reject)
+  })
+}
@@ -0,0 +1,166 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const crypto = require('crypto')
+
+const { executeJson } = require('../test-client')
+const { setupEnvConfig, findSegmentByName } = require('../agent-testing')
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+
+const SEGMENT_DESTINATION = 0x20
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+const expectedName = 'GetAllForLibrary'
+const query = `query ${expectedName} {
+  library(branch: "downtown") {
+    books {
+      title
+    }
+  }
+}`
+const querySha = crypto.createHash('sha256').update(query).digest('hex')
+const operationName = `${OPERATION_PREFIX}/query/${expectedName}/library.books.title`
+
+const unregisteredQuery = query.replace(expectedName, 'GetUnregistered')
+const unregisteredSha = crypto.createHash('sha256').update(unregisteredQuery).digest('hex')
+
+function persistedQueryExtension(sha256Hash) {
+  return { persistedQuery: { version: 1, sha256Hash } }
+}
+
+setupApolloServerTests({
+  suiteName: 'persisted queries',
+  createTests: createPersistedQueryTests
+})
+
+setupApolloServerTests({
+  suiteName: 'persistedQueryManifest',
+  createTests: createManifestTests,
+  pluginConfig: {
+    persistedQueryManifest: {
+      format: 'apollo-persisted-query-manifest',
+      version: 1,
+      operations: [
+        {
+          id: unregisteredSha,
+          name: 'GetUnregistered',
+          type: 'query',
+          body: unregisteredQuery
+        }
+      ]
+    }
+  }
+})
+
+function createPersistedQueryTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should record miss, registration and hit of persisted query', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const expected = [
+      { segmentName: `${OPERATION_PREFIX}/<unknown>`, status: 'miss' },
+      { segmentName: operationName, status: 'register' },
+      { segmentName: operationName, status: 'hit' }
+    ]
+
+    helper.agent.on('transactionFinished', function onFinished(transaction) {
+      const { segmentName, status } = expected.shift()
+
+      const operationSegment = findSegmentByName(transaction.trace.root, segmentName)
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.equal(attributes['graphql.persistedQuery.hash'], querySha)
+      t.equal(attributes['graphql.persistedQuery.status'], status)
+
+      if (status === 'miss') {
+        t.equal(attributes['graphql.persistedQuery.error'], 'PERSISTED_QUERY_NOT_FOUND')
+      } else {
+        t.notOk(attributes['graphql.persistedQuery.error'])
+      }
+
+      if (!expected.length) {
+        helper.agent.removeListener('transactionFinished', onFinished)
+      }
+    })
+
+    const extensions = persistedQueryExtension(querySha)
+    executeJson(serverUrl, { extensions }, (err, result) => {
+      t.error(err)
+      t.equal(result.errors[0].extensions.code, 'PERSISTED_QUERY_NOT_FOUND')
+
+      executeJson(serverUrl, { query, extensions }, (err) => {
+        t.error(err)
+
+        executeJson(serverUrl, { extensions }, (err, hitResult) => {
+          t.error(err)
+          t.ok(hitResult.data.library)
+          t.end()
+        })
+      })
+    })
+  })
+
+  t.test('should not add persisted query attributes without hash', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(transaction.trace.root, operationName)
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.notOk(attributes['graphql.persistedQuery.hash'])
+      t.notOk(attributes['graphql.persistedQuery.status'])
+    })
+
+    executeJson(serverUrl, { query }, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
+
+function createManifestTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should name operation from manifest when document cannot be resolved', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      t.equal(transaction.name, 'WebTransaction/Expressjs/POST//query/GetUnregistered')
+
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/query/GetUnregistered`
+      )
+      t.match(operationSegment.attributes.get(SEGMENT_DESTINATION), {
+        'graphql.operation.type': 'query',
+        'graphql.operation.name': 'GetUnregistered',
+        'graphql.persistedQuery.hash': unregisteredSha,
+        'graphql.persistedQuery.status': 'miss',
+        'graphql.persistedQuery.error': 'PERSISTED_QUERY_NOT_FOUND'
+      })
+    })
+
+    executeJson(serverUrl, { extensions: persistedQueryExtension(unregisteredSha) }, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+
+  t.test('should fall back to persisted query miss name when hash is not in manifest', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      t.equal(transaction.name, 'WebTransaction/Expressjs/POST//GraphQL/persistedQueryNotFound')
+    })
+
+    executeJson(serverUrl, { extensions: persistedQueryExtension(querySha) }, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
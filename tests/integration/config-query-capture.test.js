@@ -0,0 +1,80 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { executeQuery } = require('../test-client')
+const { setupEnvConfig, findSegmentByName } = require('../agent-testing')
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+const OPERATION_NAME = 'GraphQL/operation/ApolloServer/query/ParamQuery/paramQuery'
+const QUERY_ATTR = 'graphql.operation.query'
+
+// Comments are not part of the parsed document.
+const query = `# secret comment
+query ParamQuery {
+  paramQuery(blah: "secret", blee: """block secret""")
+}`
+
+setupApolloServerTests({
+  suiteName: 'queryCapture default',
+  createTests: createQueryCaptureTests('query ParamQuery { paramQuery(blah: ***, blee: ***) }')
+})
+
+setupApolloServerTests({
+  suiteName: 'queryCapture raw',
+  createTests: createQueryCaptureTests(query),
+  pluginConfig: {
+    queryCapture: 'raw'
+  }
+})
+
+setupApolloServerTests({
+  suiteName: 'queryCapture off',
+  createTests: createQueryCaptureTests(undefined),
+  pluginConfig: {
+    queryCapture: 'off'
+  }
+})
+
+setupApolloServerTests({
+  suiteName: 'maxQueryLength',
+  createTests: createQueryCaptureTests('query ParamQuery { param[TRUNCATED]'),
+  pluginConfig: {
+    maxQueryLength: 35
+  }
+})
+
+setupApolloServerTests({
+  suiteName: 'queryLiteralAllowlist',
+  createTests: createQueryCaptureTests(
+    'query ParamQuery { paramQuery(blah: "secret", blee: ***) }'
+  ),
+  pluginConfig: {
+    queryLiteralAllowlist: { paths: ['Query.paramQuery.blah'] }
+  }
+})
+
+function createQueryCaptureTests(expectedQuery) {
+  return (t) => {
+    setupEnvConfig(t)
+
+    t.test('should capture the expected query attribute', (t) => {
+      const { helper, serverUrl } = t.context
+
+      helper.agent.once('transactionFinished', (transaction) => {
+        const operationSegment = findSegmentByName(transaction.trace.root, OPERATION_NAME)
+        t.equal(operationSegment.getAttributes()[QUERY_ATTR], expectedQuery)
+      })
+
+      executeQuery(serverUrl, query, (err, result) => {
+        t.error(err)
+        t.notOk(result.errors)
+        t.end()
+      })
+    })
+  }
+}
@@ -0,0 +1,148 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { executeQuery } = require('../test-client')
+const { setupEnvConfig, findSegmentByName, findResolverSegments } = require('../agent-testing')
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const RESOLVE_PREFIX = 'GraphQL/resolve/ApolloServer'
+const TYPED_RESOLVE_PREFIX = 'GraphQL/typedResolve/ApolloServer'
+const SUPPRESSED_RESOLVERS_ATTR = 'graphql.operation.suppressedResolverSegments'
+
+const SEGMENT_DESTINATION = 0x20
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+const expectedName = 'GetAllForLibrary'
+const query = `query ${expectedName} {
+  library(branch: "downtown") {
+    books {
+      title
+      author {
+        name
+      }
+    }
+    magazines {
+      title
+      issue
+    }
+  }
+}`
+
+setupApolloServerTests({
+  suiteName: 'default',
+  createTests: createUnlimitedTests
+})
+
+setupApolloServerTests({
+  suiteName: 'maxResolverSegments: 2',
+  createTests: createMaxSegmentsTests,
+  pluginConfig: {
+    maxResolverSegments: 2
+  }
+})
+
+setupApolloServerTests({
+  suiteName: 'maxResolverDepth: 2',
+  createTests: createMaxDepthTests,
+  pluginConfig: {
+    maxResolverDepth: 2
+  }
+})
+
+function getOperationSegment(transaction) {
+  return findSegmentByName(
+    transaction.trace.root,
+    `${OPERATION_PREFIX}/query/${expectedName}/library`
+  )
+}
+
+function createUnlimitedTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should create segments for every resolver', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = getOperationSegment(transaction)
+
+      t.equal(findResolverSegments(operationSegment).length, 5)
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.notOk(attributes[SUPPRESSED_RESOLVERS_ATTR], 'should not add suppressed attribute')
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
+
+function createMaxSegmentsTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should stop creating resolver segments once budget is spent', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = getOperationSegment(transaction)
+
+      const resolverNames = findResolverSegments(operationSegment).map((segment) => segment.name)
+      t.same(resolverNames, [`${RESOLVE_PREFIX}/library`, `${RESOLVE_PREFIX}/library.books`])
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.equal(attributes[SUPPRESSED_RESOLVERS_ATTR], 3)
+
+      const scope = transaction.name
+      t.metrics([
+        { name: `${RESOLVE_PREFIX}/magazines`, scope },
+        { name: `${RESOLVE_PREFIX}/author`, scope },
+        `${RESOLVE_PREFIX}/magazines`,
+        `${RESOLVE_PREFIX}/author`,
+        `${TYPED_RESOLVE_PREFIX}/Book.author`
+      ])
+
+      const authorMetric = helper.agent.metrics.getMetric(`${RESOLVE_PREFIX}/author`)
+      t.equal(authorMetric.callCount, 2, 'should count every suppressed resolve')
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
+
+function createMaxDepthTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should not create resolver segments deeper than max depth', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = getOperationSegment(transaction)
+
+      const resolverNames = findResolverSegments(operationSegment).map((segment) => segment.name)
+      t.same(resolverNames, [
+        `${RESOLVE_PREFIX}/library`,
+        `${RESOLVE_PREFIX}/library.books`,
+        `${RESOLVE_PREFIX}/library.magazines`
+      ])
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.equal(attributes[SUPPRESSED_RESOLVERS_ATTR], 2)
+
+      t.metrics([`${RESOLVE_PREFIX}/author`, `${TYPED_RESOLVE_PREFIX}/Book.author`])
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
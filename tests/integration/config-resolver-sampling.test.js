@@ -0,0 +1,123 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { executeQuery, executeJson } = require('../test-client')
+const { setupEnvConfig, findSegmentByName, findResolverSegments } = require('../agent-testing')
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const RESOLVE_PREFIX = 'GraphQL/resolve/ApolloServer'
+const RESOLVERS_SAMPLED_ATTR = 'graphql.operation.resolversSampled'
+
+const SEGMENT_DESTINATION = 0x20
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+const expectedName = 'GetAllForLibrary'
+const query = `query ${expectedName} {
+  library(branch: "downtown") {
+    books {
+      title
+      author {
+        name
+      }
+    }
+  }
+}`
+const operationName = `${OPERATION_PREFIX}/query/${expectedName}/library.books`
+
+setupApolloServerTests({
+  suiteName: 'resolverSampleRate: 0',
+  createTests: createNotSampledTests,
+  pluginConfig: {
+    resolverSampleRate: 0
+  }
+})
+
+setupApolloServerTests({
+  suiteName: 'resolverSampleRateOverrides',
+  createTests: createOverrideTests,
+  pluginConfig: {
+    resolverSampleRate: 0,
+    resolverSampleRateOverrides: {
+      [expectedName]: 1
+    }
+  }
+})
+
+function createNotSampledTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should keep operation but not record resolvers', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(transaction.trace.root, operationName)
+      t.ok(operationSegment, 'should have operation segment')
+
+      t.equal(findResolverSegments(operationSegment).length, 0)
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.equal(attributes[RESOLVERS_SAMPLED_ATTR], false)
+
+      t.metrics([operationName])
+
+      const resolveMetric = helper.agent.metrics.getMetric(`${RESOLVE_PREFIX}/library`)
+      t.notOk(resolveMetric, 'should not record resolve metrics')
+    })
+
+    executeQuery(serverUrl, query, (err, result) => {
+      t.error(err)
+      t.ok(result.data.library, 'should still resolve data')
+      t.end()
+    })
+  })
+}
+
+function createOverrideTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should use override rate for matching operation name', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(transaction.trace.root, operationName)
+
+      t.equal(findResolverSegments(operationSegment).length, 4)
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.notOk(RESOLVERS_SAMPLED_ATTR in attributes, 'should only add attribute when rate applied')
+    })
+
+    executeJson(serverUrl, { query, operationName: expectedName }, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+
+  t.test('should use global rate when operation name does not match', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const unmatchedQuery = query.replace(expectedName, 'OtherOperation')
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        operationName.replace(expectedName, 'OtherOperation')
+      )
+
+      t.equal(findResolverSegments(operationSegment).length, 0)
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.equal(attributes[RESOLVERS_SAMPLED_ATTR], false)
+    })
+
+    executeJson(serverUrl, { query: unmatchedQuery, operationName: 'OtherOperation' }, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
@@ -0,0 +1,182 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { executeQuery } = require('../test-client')
+const { setupEnvConfig, findSegmentByName } = require('../agent-testing')
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const TRANSACTION_PREFIX = 'WebTransaction/Expressjs/POST'
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+setupApolloServerTests({
+  suiteName: 'transactionNaming operationName with rules',
+  createTests: createRulesTests,
+  pluginConfig: {
+    transactionNaming: {
+      strategy: 'operationName',
+      rules: [{ pattern: /_v\d+$/, replacement: '' }]
+    }
+  }
+})
+
+setupApolloServerTests({
+  suiteName: 'transactionNaming rootFields',
+  createTests: createRootFieldsTests,
+  pluginConfig: {
+    transactionNaming: 'rootFields'
+  }
+})
+
+setupApolloServerTests({
+  suiteName: 'transactionNaming nameAnonymousBySignature',
+  createTests: createAnonymousSignatureTests,
+  pluginConfig: {
+    transactionNaming: { nameAnonymousBySignature: true }
+  }
+})
+
+setupApolloServerTests({
+  suiteName: 'maxTransactionNames',
+  createTests: createMaxNamesTests,
+  pluginConfig: {
+    maxTransactionNames: 1
+  }
+})
+
+function assertOperationName(t, transaction, operationPart) {
+  t.equal(transaction.name, `${TRANSACTION_PREFIX}//${operationPart}`)
+
+  const operationName = `${OPERATION_PREFIX}/${operationPart}`
+  t.ok(findSegmentByName(transaction.trace.root, operationName), 'should name operation segment')
+  t.metrics([{ name: operationName, scope: transaction.name }, operationName])
+}
+
+function createRulesTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should name transaction, segment and metric by rewritten name', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const query = `query GetBooks_v12 {
+      library(branch: "downtown") {
+        books {
+          title
+        }
+      }
+    }`
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      assertOperationName(t, transaction, 'query/GetBooks')
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
+
+function createRootFieldsTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should name anonymous operations by root fields', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const query = `query {
+      libraries {
+        branch
+      }
+      hello
+    }`
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      assertOperationName(t, transaction, 'query/<anonymous>/hello,libraries')
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
+
+function createAnonymousSignatureTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should name anonymous operations by signature hash', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const [operationPart, signatureHash] = transaction.name.match(
+        /query\/<anonymous:([0-9a-f]{16})>\/hello$/
+      )
+      assertOperationName(t, transaction, operationPart)
+
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/${operationPart}`
+      )
+      t.equal(operationSegment.getAttributes()['graphql.operation.signatureHash'], signatureHash)
+    })
+
+    executeQuery(serverUrl, 'query { hello }', (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
+
+function createMaxNamesTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should not count invalid documents against the limit', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      t.equal(transaction.name, `${TRANSACTION_PREFIX}//GraphQL/validationError`)
+
+      const operationName = `${OPERATION_PREFIX}/validationError`
+      t.ok(findSegmentByName(transaction.trace.root, operationName), 'should use fixed name')
+    })
+
+    executeQuery(serverUrl, 'query Invalid { doesnotexist }', (err) => {
+      t.error(err)
+
+      helper.agent.once('transactionFinished', (transaction) => {
+        assertOperationName(t, transaction, 'query/First/hello')
+      })
+
+      executeQuery(serverUrl, 'query First { hello }', (err) => {
+        t.error(err)
+        t.end()
+      })
+    })
+  })
+
+  t.test('should collapse new names into overflow name past the limit', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      assertOperationName(t, transaction, 'query/First/hello')
+    })
+
+    executeQuery(serverUrl, 'query First { hello }', (err) => {
+      t.error(err)
+
+      helper.agent.once('transactionFinished', (transaction) => {
+        assertOperationName(t, transaction, 'query/<overflow>')
+        t.metrics(['Supportability/ApolloServerPlugin/TransactionNames/Overflow'])
+      })
+
+      executeQuery(serverUrl, 'query Second { hello }', (err) => {
+        t.error(err)
+        t.end()
+      })
+    })
+  })
+}
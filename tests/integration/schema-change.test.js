@@ -0,0 +1,69 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const { executeQuery } = require('../test-client')
+const { setupEnvConfig, findSegmentByName } = require('../agent-testing')
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const SCHEMA_HASH_ATTR = 'graphql.schema.hash'
+
+const SEGMENT_DESTINATION = 0x20
+
+const { setupApolloServerTests } = require('./apollo-server-setup')
+
+setupApolloServerTests({
+  suiteName: 'schema change tracking',
+  createTests: createSchemaTests
+})
+
+function getSchemaChangeEvents(agent) {
+  return agent.customEventAggregator
+    .getEvents()
+    .filter(([intrinsics]) => intrinsics.type === 'GraphQLSchemaChange')
+}
+
+function createSchemaTests(t) {
+  setupEnvConfig(t)
+
+  t.test('should record a single schema event on start', (t) => {
+    const { helper } = t.context
+
+    const events = getSchemaChangeEvents(helper.agent)
+    t.equal(events.length, 1)
+
+    const [, attributes] = events[0]
+    t.match(attributes, {
+      schemaHash: /^[a-f0-9]{64}$/,
+      typeCount: Number,
+      fieldCount: Number,
+      isSupergraph: false
+    })
+    t.notOk(attributes.previousSchemaHash, 'should not diff the first schema')
+    t.end()
+  })
+
+  t.test('should add schema hash to operation segment', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const [[, { schemaHash }]] = getSchemaChangeEvents(helper.agent)
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/query/<anonymous>/hello`
+      )
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.equal(attributes[SCHEMA_HASH_ATTR], schemaHash)
+    })
+
+    executeQuery(serverUrl, '{ hello }', (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+}
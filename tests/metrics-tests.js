@@ -16,6 +16,8 @@ const FIELD_PREFIX = 'GraphQL/field/ApolloServer'
 const RESOLVE_PREFIX = 'GraphQL/resolve/ApolloServer'
 const ARG_PREFIX = 'GraphQL/arg/ApolloServer'
 const TYPED_RESOLVE_PREFIX = 'GraphQL/typedResolve/ApolloServer'
+const PARSE_METRIC = 'GraphQL/parse/ApolloServer'
+const VALIDATE_METRIC = 'GraphQL/validate/ApolloServer'
 
 module.exports = createMetricsTests
 
@@ -123,6 +125,33 @@ function createMetricsTests(captureFieldMetrics, t) {
     })
   })
 
+  t.test('should generate scoped and unscoped metrics for parse and validate phases', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const expectedName = 'ParseAndValidate'
+    const query = `query ${expectedName} {
+      libraries {
+        branch
+      }
+    }`
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const scope = transaction.name
+
+      t.metrics([
+        PARSE_METRIC,
+        VALIDATE_METRIC,
+        { name: PARSE_METRIC, scope },
+        { name: VALIDATE_METRIC, scope }
+      ])
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+
   t.test('batch query should generate metrics for nested operations', (t) => {
     const { helper, serverUrl } = t.context
 
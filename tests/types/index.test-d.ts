@@ -2,7 +2,7 @@ import { ApolloServerPlugin as V3Plugin } from "apollo-server-plugin-base";
 import { ApolloServerPlugin as V4Plugin } from "@apollo/server";
 import { expectType, expectNotType } from "tsd";
 
-import createPlugin from "../..";
+import createPlugin, { instrumentDataLoader, instrumentSubscribe } from "../..";
 
 
 interface foo {}
@@ -19,6 +19,31 @@ expectType<V3Plugin>(
     captureScalars: false,
     captureServiceDefinitionQueries: true,
     captureFieldMetrics: true,
+    maxResolverSegments: 500,
+    maxResolverDepth: 5,
+    aggregateListResolvers: true,
+    resolverSampleRate: 0.1,
+    resolverSampleRateOverrides: { GetBooks: 1 },
+    nPlusOneThreshold: 10,
+    captureDeprecatedUsage: true,
+    clientNameHeader: 'x-client-name',
+    clientVersionHeader: 'x-client-version',
+    clientInfoExtractor: (ctx: any) => ({ name: ctx.client }),
+    captureClientMetrics: true,
+    maxClientNames: 50,
+    captureOperationEvents: true,
+    operationEventSampleRate: 0.5,
+    maxOperationEventsPerMinute: 500,
+    expectedErrors: { codes: ['BAD_USER_INPUT'], classes: ['UserInputError'] },
+    ignoredErrors: { predicate: (error: Error, code: string) => code === 'UNAUTHENTICATED' },
+    errorRedaction: { patterns: [/acct_\w+/], extensions: ['email'], redact: (message: string) => message },
+    deduplicateErrors: true,
+    transactionNaming: { strategy: 'operationName', rules: [{ pattern: /_v\d+$/, replacement: '' }], nameAnonymousBySignature: true },
+    maxTransactionNames: 500,
+    queryCapture: 'raw',
+    maxQueryLength: 4000,
+    queryLiteralAllowlist: { paths: ['Query.books.first'], types: ['Int'], enums: true },
+    persistedQueryManifest: { operations: [{ id: 'hash', name: 'GetBooks', type: 'query' }] },
     customOperationAttributes: (ctx: any) => ({ key: ctx.foo }),
     customResolverAttributes: (ctx: any) => ({ attr: ctx.bar })
   })
@@ -33,7 +58,40 @@ expectType<V4Plugin>(
     captureScalars: false,
     captureServiceDefinitionQueries: true,
     captureFieldMetrics: true,
+    maxResolverSegments: 500,
+    maxResolverDepth: 5,
+    aggregateListResolvers: true,
+    resolverSampleRate: 0.1,
+    resolverSampleRateOverrides: { GetBooks: 1 },
+    nPlusOneThreshold: 10,
+    captureDeprecatedUsage: true,
+    clientNameHeader: 'x-client-name',
+    clientVersionHeader: 'x-client-version',
+    clientInfoExtractor: (ctx: any) => ({ name: ctx.client }),
+    captureClientMetrics: true,
+    maxClientNames: 50,
+    captureOperationEvents: true,
+    operationEventSampleRate: 0.5,
+    maxOperationEventsPerMinute: 500,
+    expectedErrors: { codes: ['BAD_USER_INPUT'], classes: ['UserInputError'] },
+    ignoredErrors: { predicate: (error: Error, code: string) => code === 'UNAUTHENTICATED' },
+    errorRedaction: { patterns: [/acct_\w+/], extensions: ['email'], redact: (message: string) => message },
+    deduplicateErrors: true,
+    transactionNaming: ({ operationType, rootFields, signature }) =>
+      `${operationType}/${rootFields?.join(',') || signature}`,
+    maxTransactionNames: 500,
+    queryCapture: 'off',
+    queryLiteralAllowlist: { directive: 'loggable' },
+    persistedQueryManifest: { operations: [{ id: 'hash', name: 'GetBooks', type: 'query' }] },
     customOperationAttributes: (ctx: any) => ({ key: ctx.foo }),
     customResolverAttributes: (ctx: any) => ({ attr: ctx.bar })
   })
 );
+
+const subscribe = (args: { document: object }) => Promise.resolve(args)
+expectType<typeof subscribe>(instrumentSubscribe(subscribe))
+expectType<typeof subscribe>(instrumentSubscribe(subscribe, { captureScalars: true }))
+expectType<typeof subscribe>(instrumentSubscribe(subscribe, { defaultFieldResolver: () => null }))
+
+class DataLoader {}
+expectType<typeof DataLoader>(instrumentDataLoader(DataLoader))
@@ -6,7 +6,9 @@
 'use strict'
 const tap = require('tap')
 const createPlugin = require('../../lib/create-plugin')
+const ErrorHelper = require('../../lib/error-helper')
 const sinon = require('sinon')
+const { buildSchema, parse } = require('graphql')
 
 tap.test('createPlugin edge cases', (t) => {
   t.autoend()
@@ -17,7 +19,10 @@ tap.test('createPlugin edge cases', (t) => {
     operationSegment = {
       start: sinon.stub(),
       addAttribute: sinon.stub(),
-      transaction: { nameState: { setName: sinon.stub() } },
+      transaction: {
+        nameState: { setName: sinon.stub() },
+        metrics: { getOrCreateMetric: sinon.stub().returns({ recordValue: sinon.stub() }) }
+      },
       end: sinon.stub()
     }
 
@@ -96,4 +101,198 @@ tap.test('createPlugin edge cases', (t) => {
     })
     t.end()
   })
+  t.test('should keep operation open until final subsequent payload is sent', (t) => {
+    const responseContext = { response: { body: { kind: 'incremental' } } }
+
+    const hooks = createPlugin(instrumentationApi)
+    const operationHooks = hooks.requestDidStart({})
+    operationHooks.willSendResponse(responseContext)
+    t.notOk(operationSegment.end.called, 'should not end operation after initial payload')
+
+    const incrementalSegment = {
+      setDurationInMillis: sinon.stub(),
+      addAttribute: sinon.stub()
+    }
+    instrumentationApi.shim.createSegment = sinon.stub().returns(incrementalSegment)
+
+    operationHooks.willSendSubsequentPayload(responseContext, {
+      hasNext: true,
+      incremental: [{ path: ['libraries', 0, 'books'], label: 'books', data: {} }]
+    })
+    t.notOk(operationSegment.end.called, 'should not end operation while hasNext')
+
+    operationHooks.willSendSubsequentPayload(responseContext, {
+      hasNext: false,
+      incremental: [{ path: ['books', 3], items: [{}] }]
+    })
+    t.ok(operationSegment.end.calledOnce, 'should end operation after final payload')
+
+    const segmentNames = instrumentationApi.shim.createSegment.args.map(([name]) => name)
+    t.same(segmentNames, [
+      'GraphQL/defer/ApolloServer/libraries.books',
+      'GraphQL/stream/ApolloServer/books'
+    ])
+    t.ok(incrementalSegment.addAttribute.calledWith('graphql.incremental.label', 'books'))
+    t.ok(incrementalSegment.addAttribute.calledWith('graphql.incremental.path', 'books.3'))
+    t.equal(incrementalSegment.setDurationInMillis.callCount, 2)
+
+    t.ok(operationSegment.addAttribute.calledWith('graphql.operation.subsequentPayloads', 2))
+    t.ok(operationSegment.addAttribute.calledWith('graphql.operation.incrementalDuration'))
+    t.end()
+  })
+
+  t.test('should end operation when subsequent results end without final payload', async (t) => {
+    async function* subsequentResults() {
+      yield { hasNext: true, incremental: [{ path: ['libraries'], data: {} }] }
+      yield { hasNext: true, incremental: [{ path: ['books'], data: {} }] }
+    }
+    const body = { kind: 'incremental', subsequentResults: subsequentResults() }
+    const responseContext = { response: { body } }
+
+    const hooks = createPlugin(instrumentationApi)
+    const operationHooks = hooks.requestDidStart({})
+    operationHooks.willSendResponse(responseContext)
+
+    const iterator = body.subsequentResults[Symbol.asyncIterator]()
+    await iterator.next()
+    t.notOk(operationSegment.end.called, 'should not end operation while iterating')
+
+    // Client went away before the final payload was sent.
+    await iterator.return()
+    t.ok(operationSegment.end.calledOnce, 'should end operation when cancelled')
+    t.ok(operationSegment.addAttribute.calledWith('graphql.operation.subsequentPayloads', 0))
+  })
+
+  t.test('should only end operation once when subsequent results finish', async (t) => {
+    const finalPayload = { hasNext: false, incremental: [{ path: ['books'], data: {} }] }
+    const responseContext = { response: { body: { kind: 'incremental' } } }
+    const hooks = createPlugin(instrumentationApi)
+    const operationHooks = hooks.requestDidStart({})
+
+    async function* subsequentResults() {
+      operationHooks.willSendSubsequentPayload(responseContext, finalPayload)
+      yield finalPayload
+    }
+    const body = responseContext.response.body
+    body.subsequentResults = subsequentResults()
+    operationHooks.willSendResponse(responseContext)
+    instrumentationApi.shim.createSegment = sinon.stub().returns(null)
+
+    // eslint-disable-next-line no-unused-vars
+    for await (const payload of body.subsequentResults) {
+      t.ok(operationSegment.end.calledOnce, 'should end operation on final payload')
+    }
+    t.ok(operationSegment.end.calledOnce, 'should not end operation again')
+  })
+
+  t.test('should notice errors of subsequent payloads', (t) => {
+    instrumentationApi.shim.applySegment = sinon.stub().callsFake((fn) => fn())
+    instrumentationApi.shim.agent.errors = { add: sinon.stub() }
+    const hooks = createPlugin(instrumentationApi)
+    const requestContext = {}
+    const operationHooks = hooks.requestDidStart(requestContext)
+
+    const noticedError = new Error('noticed on field resolve')
+    requestContext[ErrorHelper.NOTICED_ERRORS] = [noticedError]
+    const errors = [
+      Object.assign(new Error('deferred'), { path: ['books', 0, 'title'] }),
+      Object.assign(new Error('wrapped'), { originalError: noticedError })
+    ]
+    operationHooks.didEncounterSubsequentErrors(requestContext, errors)
+
+    const addError = instrumentationApi.shim.agent.errors.add
+    t.ok(addError.calledOnce, 'should only notice errors not noticed on field resolve')
+    t.equal(addError.args[0][1].message, 'deferred')
+    t.equal(addError.args[0][2]['graphql.error.path'], 'books.0.title')
+    t.end()
+  })
+
+  t.test('should ignore subsequent payloads when response was not incremental', (t) => {
+    const hooks = createPlugin(instrumentationApi)
+    const operationHooks = hooks.requestDidStart({})
+    operationHooks.willSendResponse({})
+    operationHooks.willSendSubsequentPayload({}, { hasNext: false })
+    t.ok(operationSegment.end.calledOnce)
+    t.end()
+  })
+
+  t.test('should add complexity attributes and metrics', (t) => {
+    const schema = buildSchema(`
+      type Book {
+        id: ID
+        title: String
+        authors: [Author]
+      }
+
+      type Author {
+        name: String
+      }
+
+      type Library {
+        books: [Book!]!
+      }
+
+      type Query {
+        libraries: [Library]
+      }
+    `)
+
+    const source = `query GetBooks {
+      libraries {
+        books {
+          id
+          ...BookFields
+          ... on Book {
+            heading: title
+          }
+        }
+      }
+    }
+
+    fragment BookFields on Book {
+      title
+      authors {
+        name
+      }
+    }`
+
+    const hooks = createPlugin(instrumentationApi)
+    const operationHooks = hooks.requestDidStart({})
+    operationHooks.willSendResponse({ document: parse(source), source, schema })
+
+    const expected = {
+      depth: 4,
+      fieldCount: 7,
+      aliasCount: 1,
+      fragmentCount: 2,
+      listNesting: 3
+    }
+
+    const { getOrCreateMetric } = operationSegment.transaction.metrics
+    Object.keys(expected).forEach((key) => {
+      t.ok(
+        operationSegment.addAttribute.calledWith(`graphql.operation.${key}`, expected[key]),
+        `should add ${key} attribute`
+      )
+      t.ok(getOrCreateMetric.calledWith(`GraphQL/complexity/ApolloServer/${key}`))
+    })
+    t.equal(
+      operationSegment.name,
+      'GraphQL/operation/ApolloServer/query/GetBooks/libraries.books',
+      'should not use fragment selections for naming'
+    )
+    t.end()
+  })
+
+  t.test('should not add list nesting attribute without schema', (t) => {
+    const source = '{ libraries { books { title } } }'
+
+    const hooks = createPlugin(instrumentationApi)
+    const operationHooks = hooks.requestDidStart({})
+    operationHooks.willSendResponse({ document: parse(source), source })
+
+    t.ok(operationSegment.addAttribute.calledWith('graphql.operation.depth', 3))
+    t.notOk(operationSegment.addAttribute.calledWith('graphql.operation.listNesting'))
+    t.end()
+  })
 })
@@ -0,0 +1,83 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+const tap = require('tap')
+const sinon = require('sinon')
+const instrumentDataLoader = require('../../lib/dataloader')
+
+tap.test('instrumentDataLoader edge cases', (t) => {
+  t.autoend()
+  let api
+
+  class FakeDataLoader {
+    constructor(batchLoadFn, options) {
+      this.batchLoadFn = batchLoadFn
+      this.options = options
+    }
+
+    // DataLoader treats any falsy cached value as a miss.
+    load(key) {
+      return this.options.cacheMap.get(key) || null
+    }
+  }
+
+  t.beforeEach(() => {
+    api = {
+      shim: {
+        getActiveSegment: sinon.stub().returns(null),
+        createSegment: sinon.stub()
+      }
+    }
+  })
+
+  t.test('should return original class when agent api is not available', (t) => {
+    t.equal(instrumentDataLoader(undefined, FakeDataLoader), FakeDataLoader)
+    t.equal(instrumentDataLoader({}, FakeDataLoader), FakeDataLoader)
+    t.end()
+  })
+
+  t.test('should not wrap cache map when caching is disabled', (t) => {
+    const DataLoader = instrumentDataLoader(api, FakeDataLoader)
+    const loader = new DataLoader(() => [], { cache: false })
+
+    t.ok(loader instanceof FakeDataLoader)
+    t.equal(loader.options.cacheMap, undefined)
+    t.end()
+  })
+
+  t.test('should use provided cache map when caching is enabled', (t) => {
+    const DataLoader = instrumentDataLoader(api, FakeDataLoader)
+    const cacheMap = new Map([['key', 'value']])
+    const loader = new DataLoader(() => [], { cacheMap })
+
+    t.equal(loader.options.cacheMap.get('key'), 'value')
+    t.end()
+  })
+
+  t.test('should treat a null cached value as a cache miss', (t) => {
+    const DataLoader = instrumentDataLoader(api, FakeDataLoader)
+    const cacheMap = new Map()
+    // Some cache maps return null rather than undefined for missing keys.
+    cacheMap.get = () => null
+    const loader = new DataLoader(() => [], { cacheMap })
+
+    loader.load('key')
+
+    t.ok(api.shim.getActiveSegment.calledOnce, 'should queue the load for a batch')
+    t.end()
+  })
+
+  t.test('should call batch function without segment when no active transaction', (t) => {
+    const DataLoader = instrumentDataLoader(api, FakeDataLoader)
+    const batchLoadFn = sinon.stub().returns(['value'])
+    const loader = new DataLoader(batchLoadFn)
+
+    t.same(loader.batchLoadFn(['key']), ['value'])
+    t.ok(batchLoadFn.calledOnceWith(['key']))
+    t.notOk(api.shim.createSegment.called)
+    t.end()
+  })
+})
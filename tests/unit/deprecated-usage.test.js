@@ -0,0 +1,106 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+const tap = require('tap')
+const { buildSchema, parse } = require('graphql')
+const findDeprecatedUsage = require('../../lib/deprecated-usage')
+
+const schema = buildSchema(`
+  enum SortOrder {
+    TITLE
+    ISBN @deprecated(reason: "Sort by TITLE")
+  }
+
+  input BookFilter {
+    title: String
+    isbn: String @deprecated(reason: "Filter by title")
+    sort: SortOrder
+  }
+
+  type Book {
+    title: String
+    isbn: String @deprecated(reason: "No longer tracked")
+  }
+
+  type Query {
+    books(filter: BookFilter, sort: SortOrder, limit: Int @deprecated(reason: "Use filter")): [Book]
+    book(title: String): Book @deprecated(reason: "Use books")
+  }
+`)
+
+tap.test('findDeprecatedUsage', (t) => {
+  t.autoend()
+
+  t.test('should find deprecated fields and arguments', (t) => {
+    const document = parse(`{
+      books(limit: 10) {
+        title
+        isbn
+      }
+      book(title: "Node Agent") {
+        title
+      }
+    }`)
+
+    t.same(findDeprecatedUsage({ document, schema }), [
+      'Book.isbn',
+      'Query.book',
+      'Query.books(limit:)'
+    ])
+    t.end()
+  })
+
+  t.test('should find deprecated input fields and enum values in literals', (t) => {
+    const document = parse(`{
+      books(filter: { isbn: "123", sort: ISBN }, sort: TITLE) {
+        title
+      }
+    }`)
+
+    t.same(findDeprecatedUsage({ document, schema }), ['BookFilter.isbn', 'SortOrder.ISBN'])
+    t.end()
+  })
+
+  t.test('should find deprecated input fields and enum values in variables', (t) => {
+    const document = parse(`query GetBooks($filter: BookFilter, $sort: SortOrder) {
+      books(filter: $filter, sort: $sort) {
+        title
+      }
+    }`)
+    const variables = { filter: { isbn: '123' }, sort: 'ISBN' }
+
+    t.same(findDeprecatedUsage({ document, schema, variables }), [
+      'BookFilter.isbn',
+      'SortOrder.ISBN'
+    ])
+    t.end()
+  })
+
+  t.test('should find deprecated fields selected in fragments', (t) => {
+    const document = parse(`{
+      books {
+        ...BookFields
+        ... on Book {
+          title
+        }
+      }
+    }
+
+    fragment BookFields on Book {
+      isbn
+    }`)
+
+    t.same(findDeprecatedUsage({ document, schema }), ['Book.isbn'])
+    t.end()
+  })
+
+  t.test('should return empty list when nothing deprecated is used', (t) => {
+    const document = parse('{ books(sort: TITLE) { title } }')
+
+    t.same(findDeprecatedUsage({ document, schema }), [])
+    t.end()
+  })
+})
@@ -82,3 +82,211 @@ tap.test('ErrorHelper tests', (t) => {
 
   t.end()
 })
+
+tap.test('ErrorHelper.noticeError', (t) => {
+  t.autoend()
+
+  let instrumentationApi = null
+  let noticed = null
+
+  t.beforeEach(() => {
+    noticed = []
+    instrumentationApi = {
+      agent: {
+        errors: {
+          add: (transaction, error, attributes) => noticed.push({ error, attributes })
+        }
+      },
+      getActiveSegment: () => {}
+    }
+  })
+
+  t.test('should add code, path and locations of GraphQL errors', (t) => {
+    const originalError = new Error('boom')
+    const error = Object.assign(new Error('boom'), {
+      originalError,
+      extensions: { code: 'BAD_USER_INPUT' },
+      path: ['libraries', 0, 'books'],
+      locations: [
+        { line: 2, column: 3 },
+        { line: 5, column: 7 }
+      ]
+    })
+
+    new ErrorHelper().noticeError(instrumentationApi, error)
+
+    t.equal(noticed[0].error, originalError, 'should notice the original error')
+    t.same(noticed[0].attributes, {
+      'graphql.error.code': 'BAD_USER_INPUT',
+      'graphql.error.path': 'libraries.0.books',
+      'graphql.error.locations': '2:3,5:7'
+    })
+    t.end()
+  })
+
+  t.test('should use resolve info for errors thrown by resolvers', (t) => {
+    const body = 'query {\n  libraries {\n    books\n  }\n}'
+    const info = {
+      path: { prev: { prev: { prev: undefined, key: 'libraries' }, key: 1 }, key: 'books' },
+      fieldNodes: [{ loc: { start: body.indexOf('books'), source: { body } } }]
+    }
+
+    new ErrorHelper().noticeError(instrumentationApi, new Error('boom'), { info })
+
+    t.same(noticed[0].attributes, {
+      'graphql.error.code': 'INTERNAL_SERVER_ERROR',
+      'graphql.error.path': 'libraries.1.books',
+      'graphql.error.locations': '3:5'
+    })
+    t.end()
+  })
+
+  t.test('should use code of the failed phase for errors without one', (t) => {
+    const requestContext = {
+      errors: [new Error('Syntax Error')],
+      [ErrorHelper.PHASE_ERROR_CODE]: 'GRAPHQL_PARSE_FAILED'
+    }
+
+    new ErrorHelper().addErrorsFromApolloRequestContext(instrumentationApi, requestContext)
+
+    t.same(noticed[0].attributes, { 'graphql.error.code': 'GRAPHQL_PARSE_FAILED' })
+    t.end()
+  })
+  t.test('should deduplicate errors within a request when enabled', (t) => {
+    const metrics = {}
+    instrumentationApi.getActiveSegment = () => ({
+      transaction: {
+        metrics: {
+          getOrCreateMetric: (name) => ({
+            incrementCallCount: () => {
+              metrics[name] = (metrics[name] || 0) + 1
+            }
+          })
+        }
+      }
+    })
+
+    const config = { deduplicateErrors: true }
+    const requestContext = {}
+    const errorHelper = new ErrorHelper()
+    const createError = (id, index) =>
+      Object.assign(new Error(`Book "${id}" not found`), { path: ['books', index, 'author'] })
+
+    errorHelper.noticeError(instrumentationApi, createError('abc', 0), { config, requestContext })
+    errorHelper.noticeError(instrumentationApi, createError('def', 1), { config, requestContext })
+    errorHelper.noticeError(instrumentationApi, createError('ghi', 2), { config, requestContext })
+    errorHelper.noticeError(
+      instrumentationApi,
+      Object.assign(new Error('other'), { path: ['books', 0, 'title'] }),
+      { config, requestContext }
+    )
+
+    t.equal(noticed.length, 2, 'should notice first error of each group')
+    t.equal(noticed[0].attributes['graphql.error.occurrences'], 3)
+    t.equal(noticed[0].attributes['graphql.error.path'], 'books.0.author')
+    t.equal(noticed[1].attributes['graphql.error.occurrences'], 1)
+    t.same(metrics, { 'GraphQL/duplicateErrors/ApolloServer/INTERNAL_SERVER_ERROR': 2 })
+    t.end()
+  })
+
+  t.test('should not deduplicate errors of different codes', (t) => {
+    const config = { deduplicateErrors: true }
+    const requestContext = {}
+    const errorHelper = new ErrorHelper()
+    const path = ['boom']
+
+    errorHelper.noticeError(instrumentationApi, Object.assign(new Error('boom'), { path }), {
+      config,
+      requestContext
+    })
+    errorHelper.noticeError(
+      instrumentationApi,
+      Object.assign(new Error('boom'), { path, extensions: { code: 'BAD_USER_INPUT' } }),
+      { config, requestContext }
+    )
+
+    t.equal(noticed.length, 2)
+    t.end()
+  })
+
+  t.test('should not deduplicate errors without a path', (t) => {
+    const config = { deduplicateErrors: true }
+    const requestContext = {}
+    const errorHelper = new ErrorHelper()
+    const createError = (field) => new Error(`Cannot query field "${field}" on type "Query".`)
+
+    errorHelper.noticeError(instrumentationApi, createError('doesnotexist'), {
+      config,
+      requestContext,
+      defaultCode: 'GRAPHQL_VALIDATION_FAILED'
+    })
+    errorHelper.noticeError(instrumentationApi, createError('alsodoesnotexist'), {
+      config,
+      requestContext,
+      defaultCode: 'GRAPHQL_VALIDATION_FAILED'
+    })
+
+    t.equal(noticed.length, 2)
+    t.notOk(noticed[0].attributes['graphql.error.occurrences'])
+    t.end()
+  })
+
+  t.test('should notice every error when disabled', (t) => {
+    const config = { deduplicateErrors: false }
+    const requestContext = {}
+    const errorHelper = new ErrorHelper()
+
+    errorHelper.noticeError(instrumentationApi, new Error('boom'), { config, requestContext })
+    errorHelper.noticeError(instrumentationApi, new Error('boom'), { config, requestContext })
+
+    t.equal(noticed.length, 2)
+    t.notOk(noticed[0].attributes['graphql.error.occurrences'])
+    t.end()
+  })
+})
+
+tap.test('ErrorHelper.classifyError', (t) => {
+  t.autoend()
+
+  class AuthenticationError extends Error {}
+
+  const config = {
+    expectedErrors: ErrorHelper.getErrorMatcher({
+      codes: ['BAD_USER_INPUT'],
+      predicate: (error, code) => code === 'CUSTOM' && error.message === 'expected'
+    }),
+    ignoredErrors: ErrorHelper.getErrorMatcher({ classes: ['AuthenticationError'] })
+  }
+
+  t.test('should match codes of GraphQL and original errors', (t) => {
+    const error = { extensions: {}, originalError: { extensions: { code: 'BAD_USER_INPUT' } } }
+    t.equal(ErrorHelper.classifyError(error, undefined, config), ErrorHelper.EXPECTED)
+    t.end()
+  })
+
+  t.test('should match class names of original errors', (t) => {
+    const error = { extensions: {}, originalError: new AuthenticationError('denied') }
+    t.equal(ErrorHelper.classifyError(error, undefined, config), ErrorHelper.IGNORED)
+    t.end()
+  })
+
+  t.test('should match predicate with error and code', (t) => {
+    const error = Object.assign(new Error('expected'), { extensions: { code: 'CUSTOM' } })
+    t.equal(ErrorHelper.classifyError(error, undefined, config), ErrorHelper.EXPECTED)
+    t.end()
+  })
+
+  t.test('should not classify other errors', (t) => {
+    t.equal(ErrorHelper.classifyError(new Error('boom'), undefined, config), null)
+    t.equal(ErrorHelper.classifyError(new Error('boom'), undefined, {}), null)
+    t.end()
+  })
+
+  t.test('should prefer ignored over expected', (t) => {
+    const error = Object.assign(new AuthenticationError('denied'), {
+      extensions: { code: 'BAD_USER_INPUT' }
+    })
+    t.equal(ErrorHelper.classifyError(error, undefined, config), ErrorHelper.IGNORED)
+    t.end()
+  })
+})
@@ -0,0 +1,74 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+const tap = require('tap')
+const { REDACTED, getErrorRedaction, redactError } = require('../../lib/error-redaction')
+
+class UserInputError extends Error {
+  constructor(message, extensions) {
+    super(message)
+    this.name = 'UserInputError'
+    this.extensions = extensions
+  }
+}
+
+tap.test('redactError', (t) => {
+  t.autoend()
+
+  t.test('should redact built-in patterns from message and stack', (t) => {
+    const error = new UserInputError(
+      'No account 123456 for jane.doe+test@example.com (1b4e28ba-2fa1-11d2-883f-0016d3cca427)'
+    )
+    const redacted = redactError(error, getErrorRedaction({}))
+
+    const expectedMessage = `No account ${REDACTED} for ${REDACTED} (${REDACTED})`
+    t.equal(redacted.message, expectedMessage)
+    t.ok(redacted.stack.startsWith(`UserInputError: ${expectedMessage}\n`))
+    t.equal(
+      redacted.stack.split('\n').slice(1).join('\n'),
+      error.stack.split('\n').slice(1).join('\n'),
+      'should keep the stack trace'
+    )
+    t.ok(redacted instanceof UserInputError, 'should keep the class')
+    t.equal(redacted.name, 'UserInputError')
+    t.match(error.message, /jane.doe/, 'should not modify the error')
+    t.end()
+  })
+
+  t.test('should apply custom patterns and redact hook', (t) => {
+    const error = new Error('token abc-secret-xyz rejected')
+    const redaction = getErrorRedaction({
+      builtInPatterns: false,
+      patterns: [/abc-\w+-xyz/],
+      redact: (message, original) => `${message} (${original.constructor.name})`
+    })
+
+    t.equal(redactError(error, redaction).message, `token ${REDACTED} rejected (Error)`)
+    t.end()
+  })
+
+  t.test('should redact selected extensions fields', (t) => {
+    const extensions = { code: 'BAD_USER_INPUT', email: 'jane@example.com' }
+    const error = new UserInputError('Invalid email', extensions)
+    const redacted = redactError(error, getErrorRedaction({ extensions: ['email'] }))
+
+    t.same(redacted.extensions, { code: 'BAD_USER_INPUT', email: REDACTED })
+    t.equal(error.extensions.email, 'jane@example.com', 'should not modify the error')
+    t.end()
+  })
+
+  t.test('should return the error when redaction is disabled', (t) => {
+    const error = new Error('jane@example.com')
+    t.equal(redactError(error, getErrorRedaction(null)), error)
+    t.end()
+  })
+
+  t.test('should not duplicate built-in patterns when normalized again', (t) => {
+    const redaction = getErrorRedaction({ patterns: [/secret/] })
+    t.same(getErrorRedaction(redaction).patterns, redaction.patterns)
+    t.end()
+  })
+})
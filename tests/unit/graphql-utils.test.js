@@ -0,0 +1,76 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+const tap = require('tap')
+const { buildSchema, parse } = require('graphql')
+const {
+  flattenPath,
+  getFields,
+  getName,
+  unwrapType,
+  unwrapTypeNode
+} = require('../../lib/graphql-utils')
+
+const schema = buildSchema(`
+  type Book {
+    title: String
+  }
+
+  type Query {
+    books: [Book!]!
+  }
+`)
+
+tap.test('flattenPath', (t) => {
+  t.autoend()
+
+  t.test('should flatten path from root field, keeping list indices', (t) => {
+    const path = { prev: { prev: { prev: undefined, key: 'books' }, key: 2 }, key: 'title' }
+    t.same(flattenPath(path), ['books', 2, 'title'])
+    t.end()
+  })
+
+  t.test('should return no keys without a path', (t) => {
+    t.same(flattenPath(undefined), [])
+    t.end()
+  })
+})
+
+tap.test('getFields', (t) => {
+  t.autoend()
+
+  t.test('should get fields of object types', (t) => {
+    t.same(Object.keys(getFields(schema.getType('Book'))), ['title'])
+    t.end()
+  })
+
+  t.test('should get no fields of other types', (t) => {
+    t.same(getFields(schema.getType('String')), {})
+    t.same(getFields(undefined), {})
+    t.end()
+  })
+})
+
+tap.test('unwrapType', (t) => {
+  t.autoend()
+
+  t.test('should unwrap non-null and list types', (t) => {
+    const { type } = schema.getQueryType().getFields().books
+    t.equal(unwrapType(type), schema.getType('Book'))
+    t.end()
+  })
+})
+
+tap.test('unwrapTypeNode', (t) => {
+  t.autoend()
+
+  t.test('should unwrap non-null and list type nodes', (t) => {
+    const [definition] = parse('query ($ids: [ID!]!) { books { title } }').definitions
+    const namedType = unwrapTypeNode(definition.variableDefinitions[0].type)
+    t.equal(getName(namedType), 'ID')
+    t.end()
+  })
+})
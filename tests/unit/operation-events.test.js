@@ -0,0 +1,114 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+const tap = require('tap')
+const sinon = require('sinon')
+const {
+  OPERATION_EVENT,
+  createEventBudget,
+  recordOperationEvent,
+  takeEventBudget
+} = require('../../lib/operation-events')
+
+tap.test('takeEventBudget', (t) => {
+  t.autoend()
+
+  t.afterEach(() => {
+    sinon.restore()
+  })
+
+  t.test('should cap events per minute', (t) => {
+    const budget = createEventBudget({
+      operationEventSampleRate: 1,
+      maxOperationEventsPerMinute: 2
+    })
+
+    t.ok(takeEventBudget(budget, 1000))
+    t.ok(takeEventBudget(budget, 2000))
+    t.notOk(takeEventBudget(budget, 3000), 'should not exceed cap within the window')
+    t.ok(takeEventBudget(budget, 61000), 'should reset cap after a minute')
+    t.end()
+  })
+
+  t.test('should only count sampled events', (t) => {
+    const budget = createEventBudget({
+      operationEventSampleRate: 0.5,
+      maxOperationEventsPerMinute: 1
+    })
+
+    sinon.stub(Math, 'random').returns(0.7)
+    t.notOk(takeEventBudget(budget, 1000))
+    t.equal(budget.count, 0)
+
+    Math.random.returns(0.3)
+    t.ok(takeEventBudget(budget, 1000))
+    t.equal(budget.count, 1)
+    t.end()
+  })
+
+  t.test('should not record events with a sample rate of 0', (t) => {
+    const budget = createEventBudget({
+      operationEventSampleRate: 0,
+      maxOperationEventsPerMinute: 1
+    })
+
+    sinon.stub(Math, 'random').returns(0)
+    t.notOk(takeEventBudget(budget, 1000))
+    t.end()
+  })
+})
+
+tap.test('recordOperationEvent', (t) => {
+  t.autoend()
+
+  let api = null
+  let logger = null
+
+  t.beforeEach(() => {
+    api = { recordCustomEvent: sinon.stub() }
+    logger = { trace: sinon.stub() }
+  })
+
+  t.test('should record event without missing attributes', (t) => {
+    const budget = createEventBudget({
+      operationEventSampleRate: 1,
+      maxOperationEventsPerMinute: 1
+    })
+
+    recordOperationEvent({
+      api,
+      logger,
+      budget,
+      attributes: {
+        operationType: 'query',
+        operationName: undefined,
+        clientName: null,
+        errorCount: 0
+      }
+    })
+
+    t.ok(
+      api.recordCustomEvent.calledOnceWith(OPERATION_EVENT, {
+        operationType: 'query',
+        errorCount: 0
+      })
+    )
+    t.end()
+  })
+
+  t.test('should not record event over budget', (t) => {
+    const budget = createEventBudget({
+      operationEventSampleRate: 1,
+      maxOperationEventsPerMinute: 1
+    })
+
+    recordOperationEvent({ api, logger, budget, attributes: { operationType: 'query' } })
+    recordOperationEvent({ api, logger, budget, attributes: { operationType: 'query' } })
+
+    t.equal(api.recordCustomEvent.callCount, 1)
+    t.end()
+  })
+})
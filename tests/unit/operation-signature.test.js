@@ -0,0 +1,103 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+const tap = require('tap')
+const { parse } = require('graphql')
+const { getOperationSignature, getSignatureHash } = require('../../lib/operation-signature')
+
+function signatureOf(query) {
+  const { definitions } = parse(query)
+  const fragments = {}
+  definitions.forEach((definition) => {
+    if (definition.kind === 'FragmentDefinition') {
+      fragments[definition.name.value] = definition
+    }
+  })
+
+  const definition = definitions.find(({ kind }) => kind === 'OperationDefinition')
+  return getOperationSignature(definition, fragments)
+}
+
+tap.test('getOperationSignature', (t) => {
+  t.autoend()
+
+  t.test('should strip literals, remove aliases and sort selections', (t) => {
+    const signature = signatureOf(`
+      query GetBooks($id: ID!, $first: Int = 10) {
+        library(branch: "downtown") {
+          magazines { title }
+          first: books(category: NOVEL, limit: 5, filter: { title: "1984" }, ids: [1, 2]) {
+            title
+            isbn
+          }
+        }
+        hello @include(if: true)
+        book(id: $id, score: 4.5, missing: null)
+      }
+    `)
+
+    t.equal(
+      signature,
+      'query GetBooks($first:Int=0,$id:ID!){book(id:$id,missing:null,score:0) hello @include(if:true) ' +
+        'library(branch:""){books(category:NOVEL,filter:{},ids:[],limit:0){isbn title} magazines{title}}}'
+    )
+    t.end()
+  })
+
+  t.test('should be the same for equivalent operations', (t) => {
+    const first = signatureOf('query Q { libraries { branch books { title } } }')
+    const second = signatureOf(`
+      query Q {
+        libraries {
+          books {
+            title
+          }
+          alias: branch
+        }
+      }
+    `)
+
+    t.equal(first, second)
+    t.equal(getSignatureHash(first), getSignatureHash(second))
+    t.end()
+  })
+
+  t.test('should inline fragments', (t) => {
+    const signature = signatureOf(`
+      query {
+        search(contains: "x") {
+          ...BookParts
+          ... on Magazine { issue }
+        }
+      }
+      fragment BookParts on Book { title author { ...AuthorParts } }
+      fragment AuthorParts on Author { name }
+    `)
+
+    t.equal(
+      signature,
+      'query{search(contains:""){...on Book{author{...on Author{name}} title} ...on Magazine{issue}}}'
+    )
+    t.end()
+  })
+
+  t.test('should drop cyclic and unknown fragment spreads', (t) => {
+    const signature = signatureOf(`
+      query { libraries { ...Cycle ...Unknown } }
+      fragment Cycle on Library { branch libraries { ...Cycle } }
+    `)
+
+    t.equal(signature, 'query{libraries{...on Library{branch libraries{}}}}')
+    t.end()
+  })
+})
+
+tap.test('getSignatureHash', (t) => {
+  const hash = getSignatureHash('query{hello}')
+  t.match(hash, /^[0-9a-f]{16}$/)
+  t.not(getSignatureHash('query{books}'), hash)
+  t.end()
+})
@@ -6,98 +6,409 @@
 'use strict'
 
 const tap = require('tap')
+const sinon = require('sinon')
+const { buildSchema, parse } = require('graphql')
 
-const cleanQuery = require('../../lib/query-utils')
+const {
+  TRUNCATION_MARKER,
+  captureQuery,
+  cleanQuery,
+  getMaxQueryLength,
+  getQueryCapture,
+  getQueryLiteralAllowlist,
+  truncateQuery
+} = require('../../lib/query-utils')
 
 tap.test('Obfuscate GraphQL query args tests', (t) => {
   t.test('Should obfuscate query args', (t) => {
-    const query = `query logans(run: "(333") {
-      runner
+    const query = `query logans {
+      run(from: "(333") {
+        runner
+      }
     }`
 
-    const argLocations = [
-      {
-        start: 13,
-        end: 24
+    const newQuery = cleanQuery(parse(query))
+
+    t.equal(newQuery, 'query logans { run(from: ***) { runner } }')
+
+    t.end()
+  })
+
+  t.test('Should obfuscate aliased query args', (t) => {
+    const query = `query {
+      thing: logans(run: "(333") {
+        runner
       }
-    ]
+    }`
 
-    const newQuery = cleanQuery(query, argLocations)
+    const newQuery = cleanQuery(parse(query))
 
     t.notOk(newQuery.includes('333'))
-    t.ok(newQuery.includes('logans(***)'))
+    t.ok(newQuery.includes('thing: logans(run: ***)'), 'alias is intact')
 
     t.end()
   })
 
-  t.test('Should obfuscate aliased query args for aliased', (t) => {
-    const query = `query thing: logans(run: "(333") {
-      runner
+  t.test('Should obfuscate nested mutation args, keeping object fields', (t) => {
+    const query = `mutation {
+      corn(husks: { husky: "yes", id: 5, tags: ["a", $tag] }) {
+        id
+      }
     }`
 
-    const argLocations = [
-      {
-        start: 20,
-        end: 31
+    const newQuery = cleanQuery(parse(query))
+
+    t.equal(newQuery, 'mutation { corn(husks: {husky: ***, id: ***, tags: [***, $tag]}) { id } }')
+
+    t.end()
+  })
+
+  t.test('Should obfuscate every arg of a field', (t) => {
+    const query = `query chickens {
+      hens(name: "yes", count: 12) {
+        eggs(yolk: true, color: BROWN) {
+          yolk
+        }
       }
-    ]
+    }`
 
-    const newQuery = cleanQuery(query, argLocations)
+    const newQuery = cleanQuery(parse(query))
 
-    t.notOk(newQuery.includes('333'))
-    t.ok(newQuery.includes('thing: logans', 'alias is intact'))
-    t.ok(newQuery.includes('logans(***)', 'args obfuscated'))
+    t.equal(
+      newQuery,
+      'query chickens { hens(name: ***, count: ***) { eggs(yolk: ***, color: ***) { yolk } } }'
+    )
+
+    t.end()
+  })
+
+  t.test('Should keep variables and obfuscate variable default values', (t) => {
+    const query = `query Books($first: Int = 10, $category: Category!, $ids: [ID!] = ["1"]) {
+      books(first: $first, category: $category, ids: $ids) {
+        title
+      }
+    }`
+
+    const newQuery = cleanQuery(parse(query))
+
+    t.equal(
+      newQuery,
+      'query Books($first: Int = ***, $category: Category!, $ids: [ID!] = [***]) ' +
+        '{ books(first: $first, category: $category, ids: $ids) { title } }'
+    )
+
+    t.end()
+  })
+
+  t.test('Should obfuscate directive args, including on inline fragments and fragments', (t) => {
+    const query = `query Search {
+      search(contains: "secret") @cacheControl(maxAge: 30) {
+        ... on Book @include(if: true) {
+          title @deprecated(reason: "old")
+        }
+        ...MagazineParts @skip(if: false)
+      }
+    }
+
+    fragment MagazineParts on Magazine @tag(name: "private") {
+      issue(year: 2023)
+    }`
+
+    const newQuery = cleanQuery(parse(query))
+
+    t.equal(
+      newQuery,
+      'query Search { search(contains: ***) @cacheControl(maxAge: ***) { ' +
+        '... on Book @include(if: ***) { title @deprecated(reason: ***) } ' +
+        '...MagazineParts @skip(if: ***) } } ' +
+        'fragment MagazineParts on Magazine @tag(name: ***) { issue(year: ***) }'
+    )
+
+    t.end()
+  })
+
+  t.test('Should drop comments and obfuscate block strings', (t) => {
+    const query = `# user 12345 searched for "secret"
+    query {
+      search(contains: """
+        multi-line "secret"
+        # not a comment
+      """) {
+        # the title
+        title
+      }
+    }`
+
+    const newQuery = cleanQuery(parse(query))
+
+    t.equal(newQuery, 'query { search(contains: ***) { title } }')
+
+    t.end()
+  })
+
+  t.test('Should obfuscate queries with several arguments', (t) => {
+    // The location based obfuscation mangled queries with several arguments.
+    const query = `{
+      a(x: "one", y: "two") { b(z: "three") }
+      c(x: "four") { d }
+    }`
+
+    const newQuery = cleanQuery(parse(query))
+
+    t.equal(newQuery, 'query { a(x: ***, y: ***) { b(z: ***) } c(x: ***) { d } }')
+
+    t.end()
+  })
+
+  t.end()
+})
+
+tap.test('Keep allowlisted literals in obfuscated query tests', (t) => {
+  const schema = buildSchema(`
+    directive @loggable on ARGUMENT_DEFINITION | INPUT_FIELD_DEFINITION | ENUM
+
+    enum Order {
+      CREATED_AT
+      TITLE
+    }
+
+    enum Region @loggable {
+      EU
+      US
+    }
+
+    input BookFilter {
+      title: String
+      year: Int
+      tag: String @loggable
+    }
+
+    type Book {
+      title: String
+      reviews(first: Int, text: String): [String]
+    }
+
+    type Query {
+      books(
+        first: Int
+        after: String
+        orderBy: Order
+        inStock: Boolean
+        filter: BookFilter
+        author: String @loggable
+      ): [Book]
+      region(code: Region): String
+    }
+  `)
+
+  t.test('Should keep literals of allowlisted argument paths', (t) => {
+    const query = `query {
+      books(first: 10, after: "cursor") {
+        reviews(first: 5, text: "secret")
+      }
+    }`
+
+    const allowlist = getQueryLiteralAllowlist({
+      paths: ['Query.books.first', 'Book.reviews.first']
+    })
+    const newQuery = cleanQuery(parse(query), { schema, allowlist })
+
+    t.equal(newQuery, 'query { books(first: 10, after: ***) { reviews(first: 5, text: ***) } }')
+
+    t.end()
+  })
+
+  t.test('Should keep literals of allowlisted types and enums', (t) => {
+    const query = `query Books($first: Int = 20, $after: String = "cursor") {
+      books(first: $first, orderBy: CREATED_AT, inStock: true, filter: { title: "secret", year: 2023 }) {
+        title @include(if: true)
+      }
+    }`
+
+    const allowlist = getQueryLiteralAllowlist({ types: ['Int', 'Boolean'], enums: true })
+    const newQuery = cleanQuery(parse(query), { schema, allowlist })
+
+    t.equal(
+      newQuery,
+      'query Books($first: Int = 20, $after: String = ***) { ' +
+        'books(first: $first, orderBy: CREATED_AT, inStock: true, filter: {title: ***, year: 2023}) ' +
+        '{ title @include(if: true) } }'
+    )
 
     t.end()
   })
 
-  t.test('Should obfuscate mutation args', (t) => {
-    const argLocations = [
-      {
-        start: 14,
-        end: 60
+  t.test('Should keep literals of arguments, input fields and types with the directive', (t) => {
+    const query = `query {
+      books(author: "Jane", filter: { title: "secret", tag: "fiction" }) {
+        title
       }
-    ]
+      region(code: EU)
+    }`
+
+    const allowlist = getQueryLiteralAllowlist({ directive: 'loggable' })
+    const newQuery = cleanQuery(parse(query), { schema, allowlist })
 
-    const query = `mutation corn(husks: {
-      husky: 'yes',
-      id: 5
-    })`
+    t.equal(
+      newQuery,
+      'query { books(author: "Jane", filter: {title: ***, tag: "fiction"}) { title } region(code: EU) }'
+    )
+
+    t.end()
+  })
+
+  t.test('Should keep whole values of allowlisted paths', (t) => {
+    const query = `query {
+      books(filter: { title: """block""", year: 2023, tag: null }) {
+        title
+      }
+    }`
 
-    const newQuery = cleanQuery(query, argLocations)
+    const allowlist = getQueryLiteralAllowlist({ paths: ['Query.books.filter'] })
+    const newQuery = cleanQuery(parse(query), { schema, allowlist })
 
-    t.ok(newQuery.includes('corn(***)'))
+    t.equal(newQuery, 'query { books(filter: {title: "block", year: 2023, tag: null}) { title } }')
 
     t.end()
   })
 
-  t.test('Should obfuscate multiple args', (t) => {
-    const query = `query chickens(hens: 'yes') {
-      eggs(yolk: 'yes') {
-        yolk
+  t.test('Should only match types of variable default values without schema', (t) => {
+    const query = `query Books($first: Int = 20) {
+      books(first: 10) {
+        title
       }
     }`
 
-    const argLocations = [
-      {
-        start: 15,
-        end: 26
-      },
-      {
-        start: 41,
-        end: 52
+    const allowlist = getQueryLiteralAllowlist({ paths: ['Query.books.first'], types: ['Int'] })
+    const newQuery = cleanQuery(parse(query), { allowlist })
+
+    t.equal(newQuery, 'query Books($first: Int = 20) { books(first: ***) { title } }')
+
+    t.end()
+  })
+
+  t.test('Should obfuscate unknown fields and arguments', (t) => {
+    const query = `query {
+      books(first: 10, unknown: 1) {
+        unknown(first: 1)
       }
-    ]
+    }`
+
+    const allowlist = getQueryLiteralAllowlist({ types: ['Int'] })
+    const newQuery = cleanQuery(parse(query), { schema, allowlist })
+
+    t.equal(newQuery, 'query { books(first: 10, unknown: ***) { unknown(first: ***) } }')
+
+    t.end()
+  })
+
+  t.end()
+})
+
+tap.test('truncateQuery', (t) => {
+  t.test('Should not truncate queries within the max length', (t) => {
+    t.equal(truncateQuery('query { a }', 11), 'query { a }')
+    t.end()
+  })
+
+  t.test('Should truncate queries past the max length with a marker', (t) => {
+    const truncated = truncateQuery(`query { ${'a '.repeat(100)}}`, 50)
 
-    const newQuery = cleanQuery(query, argLocations)
+    t.equal(truncated.length, 50)
+    t.ok(truncated.startsWith('query { a a'))
+    t.ok(truncated.endsWith(TRUNCATION_MARKER))
+    t.end()
+  })
+
+  t.end()
+})
 
-    t.notOk(newQuery.includes('hens'))
-    t.notOk(newQuery.includes('yolk:'))
-    t.ok(newQuery.includes('chickens(***)'))
-    t.ok(newQuery.includes('eggs(***)'))
+tap.test('captureQuery', (t) => {
+  const source = `query Secret {
+    search(contains: "secret") { title }
+  }`
+  const document = parse(source)
 
+  t.test('Should obfuscate the query by default', (t) => {
+    t.equal(captureQuery({ document, source }), 'query Secret { search(contains: ***) { title } }')
     t.end()
   })
 
+  t.test('Should capture the raw query in raw mode', (t) => {
+    t.equal(captureQuery({ document, source }, { queryCapture: 'raw' }), source)
+    t.end()
+  })
+
+  t.test('Should not capture a query in raw mode without source', (t) => {
+    t.equal(captureQuery({ document }, { queryCapture: 'raw' }), null)
+    t.end()
+  })
+
+  t.test('Should not capture a query in off mode', (t) => {
+    t.equal(captureQuery({ document, source }, { queryCapture: 'off' }), null)
+    t.end()
+  })
+
+  t.test('Should truncate the query to maxQueryLength', (t) => {
+    const query = captureQuery({ document, source }, { queryCapture: 'raw', maxQueryLength: 20 })
+
+    t.equal(query, `query Sec${TRUNCATION_MARKER}`)
+    t.end()
+  })
+
+  t.end()
+})
+
+tap.test('getQueryCapture', (t) => {
+  t.test('Should default to obfuscated', (t) => {
+    t.equal(getQueryCapture(), 'obfuscated')
+    t.equal(getQueryCapture(null), 'obfuscated')
+    t.end()
+  })
+
+  t.test('Should fall back to obfuscated for unknown modes', (t) => {
+    const logger = { warn: sinon.stub() }
+
+    t.equal(getQueryCapture('plain', logger), 'obfuscated')
+    t.equal(logger.warn.callCount, 1)
+    t.end()
+  })
+
+  t.test('Should keep known modes', (t) => {
+    t.equal(getQueryCapture('raw'), 'raw')
+    t.equal(getQueryCapture('off'), 'off')
+    t.end()
+  })
+
+  t.end()
+})
+
+tap.test('getQueryLiteralAllowlist', (t) => {
+  t.test('Should return null without allowlist', (t) => {
+    t.equal(getQueryLiteralAllowlist(), null)
+    t.end()
+  })
+
+  t.test('Should normalize the allowlist', (t) => {
+    const allowlist = getQueryLiteralAllowlist({ paths: ['Query.books.first'], enums: 1 })
+
+    t.same(allowlist, {
+      paths: new Set(['Query.books.first']),
+      types: new Set(),
+      enums: true,
+      directive: null
+    })
+    t.same(getQueryLiteralAllowlist(allowlist), allowlist, 'should be idempotent')
+    t.end()
+  })
+
+  t.end()
+})
+
+tap.test('getMaxQueryLength', (t) => {
+  t.equal(getMaxQueryLength(), 2000)
+  t.equal(getMaxQueryLength(0), 2000)
+  t.equal(getMaxQueryLength(500), 500)
+  t.equal(getMaxQueryLength(100000), 4095, 'should cap the max length')
   t.end()
 })
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+const tap = require('tap')
+const sinon = require('sinon')
+const { buildSchema } = require('graphql')
+const {
+  SCHEMA_CHANGE_EVENT,
+  diffSchemaDetails,
+  getSchemaDetails,
+  recordSchemaChange
+} = require('../../lib/schema')
+
+const typeDefs = `
+  type Book {
+    title: String
+    isbn: String
+  }
+
+  type Query {
+    books(first: Int): [Book]
+  }
+`
+
+tap.test('getSchemaDetails', (t) => {
+  t.autoend()
+
+  t.test('should count types and fields', (t) => {
+    const details = getSchemaDetails(buildSchema(typeDefs))
+
+    // Includes the built-in scalars
+    t.equal(details.typeCount, 5)
+    t.equal(details.fieldCount, 3)
+    t.same([...details.fields.keys()], ['Book.isbn', 'Book.title', 'Query.books'])
+    t.end()
+  })
+
+  t.test('should not change hash when types are reordered', (t) => {
+    const reordered = `
+      type Query {
+        books(first: Int): [Book]
+      }
+
+      type Book {
+        isbn: String
+        title: String
+      }
+    `
+
+    t.equal(
+      getSchemaDetails(buildSchema(typeDefs)).hash,
+      getSchemaDetails(buildSchema(reordered)).hash
+    )
+    t.end()
+  })
+
+  t.test('should change hash when a field type changes', (t) => {
+    const changed = typeDefs.replace('books(first: Int): [Book]', 'books(first: Int): [Book!]')
+
+    t.not(getSchemaDetails(buildSchema(typeDefs)).hash, getSchemaDetails(buildSchema(changed)).hash)
+    t.end()
+  })
+})
+
+tap.test('diffSchemaDetails', (t) => {
+  const previous = getSchemaDetails(buildSchema(typeDefs))
+  const current = getSchemaDetails(
+    buildSchema(`
+      type Book {
+        title: String @deprecated(reason: "Use name")
+        name: String
+      }
+
+      type Query {
+        books(first: Int): [Book]
+      }
+    `)
+  )
+
+  t.same(diffSchemaDetails(previous, current), {
+    added: ['Book.name'],
+    removed: ['Book.isbn'],
+    deprecated: ['Book.title']
+  })
+  t.end()
+})
+
+tap.test('recordSchemaChange', (t) => {
+  t.autoend()
+
+  let api
+  let logger
+  let schemaState
+
+  t.beforeEach(() => {
+    api = { recordCustomEvent: sinon.stub() }
+    logger = { trace: sinon.stub(), debug: sinon.stub() }
+    schemaState = { details: null }
+  })
+
+  t.test('should record event without diff on first load', (t) => {
+    recordSchemaChange({ api, logger, schemaState, schema: buildSchema(typeDefs) })
+
+    t.ok(api.recordCustomEvent.calledOnce)
+    const [eventType, event] = api.recordCustomEvent.args[0]
+    t.equal(eventType, SCHEMA_CHANGE_EVENT)
+    t.same(event, {
+      schemaHash: schemaState.details.hash,
+      typeCount: 5,
+      fieldCount: 3,
+      isSupergraph: false
+    })
+    t.end()
+  })
+
+  t.test('should not record event when schema is unchanged', (t) => {
+    recordSchemaChange({ api, logger, schemaState, schema: buildSchema(typeDefs) })
+    recordSchemaChange({ api, logger, schemaState, schema: buildSchema(typeDefs) })
+
+    t.ok(api.recordCustomEvent.calledOnce)
+    t.end()
+  })
+
+  t.test('should record diff summary when schema is updated', (t) => {
+    recordSchemaChange({ api, logger, schemaState, schema: buildSchema(typeDefs) })
+    const previousHash = schemaState.details.hash
+
+    const updated = typeDefs.replace('isbn: String', 'isbn: String\n    author: String')
+    recordSchemaChange({
+      api,
+      logger,
+      schemaState,
+      schema: buildSchema(updated),
+      isSupergraph: true
+    })
+
+    t.ok(api.recordCustomEvent.calledTwice)
+    t.match(api.recordCustomEvent.args[1][1], {
+      schemaHash: schemaState.details.hash,
+      previousSchemaHash: previousHash,
+      isSupergraph: true,
+      addedFieldCount: 1,
+      removedFieldCount: 0,
+      deprecatedFieldCount: 0,
+      addedFields: 'Book.author',
+      removedFields: '',
+      deprecatedFields: ''
+    })
+    t.end()
+  })
+
+  t.test('should ignore missing schema', (t) => {
+    recordSchemaChange({ api, logger, schemaState, schema: undefined })
+
+    t.notOk(api.recordCustomEvent.called)
+    t.equal(schemaState.details, null)
+    t.end()
+  })
+})
@@ -0,0 +1,56 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+const tap = require('tap')
+const sinon = require('sinon')
+const { parse } = require('graphql')
+const instrumentSubscribe = require('../../lib/subscriptions')
+
+tap.test('instrumentSubscribe edge cases', (t) => {
+  t.autoend()
+  let api
+
+  t.beforeEach(() => {
+    api = {
+      shim: {
+        logger: {
+          child: sinon.stub().returns({ trace: sinon.stub() })
+        }
+      },
+      startBackgroundTransaction: sinon.stub()
+    }
+  })
+
+  t.test('should return original subscribe when agent api is not available', (t) => {
+    const subscribe = sinon.stub()
+    t.equal(instrumentSubscribe(undefined, subscribe), subscribe)
+    t.equal(instrumentSubscribe({}, subscribe), subscribe)
+    t.end()
+  })
+
+  t.test('should not start a transaction for non-subscription operations', (t) => {
+    const expected = {}
+    const subscribe = sinon.stub().returns(expected)
+    const wrapped = instrumentSubscribe(api, subscribe)
+
+    const args = { document: parse('query { hello }') }
+    t.equal(wrapped(args), expected)
+    t.ok(subscribe.calledOnceWith(args))
+    t.notOk(api.startBackgroundTransaction.called)
+    t.end()
+  })
+
+  t.test('should start a transaction when document has no locations', (t) => {
+    const subscribe = sinon.stub()
+    const wrapped = instrumentSubscribe(api, subscribe)
+
+    // The query attribute is printed from the document, so locations are not needed.
+    wrapped({ document: parse('subscription { bookAdded }', { noLocation: true }) })
+    t.ok(api.startBackgroundTransaction.calledOnce)
+    t.equal(api.startBackgroundTransaction.args[0][0], 'subscription/<anonymous>/bookAdded')
+    t.end()
+  })
+})
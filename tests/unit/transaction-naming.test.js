@@ -0,0 +1,286 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+const tap = require('tap')
+const sinon = require('sinon')
+const {
+  CLIENT_OVERFLOW_METRIC,
+  OVERFLOW_METRIC,
+  createClientNaming,
+  createOperationNaming,
+  formatOperationName,
+  getRootFields,
+  getTransactionNaming,
+  nameClient,
+  nameOperation,
+  registerOperationName
+} = require('../../lib/transaction-naming')
+
+const operationDetails = {
+  operationType: 'query',
+  operationName: 'GetBooks_v2',
+  deepestUniquePath: 'library.books.title',
+  rootFields: ['library', 'magazines'],
+  signatureHash: '0123456789abcdef'
+}
+
+tap.test('formatOperationName', (t) => {
+  t.autoend()
+
+  t.test('should use full strategy by default', (t) => {
+    t.equal(formatOperationName(operationDetails), 'query/GetBooks_v2/library.books.title')
+    t.equal(
+      formatOperationName(operationDetails, getTransactionNaming()),
+      'query/GetBooks_v2/library.books.title'
+    )
+    t.end()
+  })
+
+  t.test('should use built-in strategies', (t) => {
+    const format = (strategy) =>
+      formatOperationName(operationDetails, getTransactionNaming(strategy))
+
+    t.equal(format('operationName'), 'query/GetBooks_v2')
+    t.equal(format('rootFields'), 'query/GetBooks_v2/library,magazines')
+    t.equal(format('signatureHash'), 'query/0123456789abcdef')
+    t.end()
+  })
+
+  t.test('should use anonymous placeholder for unnamed operations', (t) => {
+    const anonymous = Object.assign({}, operationDetails, { operationName: undefined })
+    t.equal(
+      formatOperationName(anonymous, getTransactionNaming('rootFields')),
+      'query/<anonymous>/library,magazines'
+    )
+    t.end()
+  })
+
+  t.test('should name anonymous operations by signature hash when enabled', (t) => {
+    const anonymous = Object.assign({}, operationDetails, { operationName: undefined })
+    const naming = getTransactionNaming({ nameAnonymousBySignature: true })
+
+    t.equal(
+      formatOperationName(anonymous, naming),
+      'query/<anonymous:0123456789abcdef>/library.books.title'
+    )
+    t.equal(
+      formatOperationName(operationDetails, naming),
+      'query/GetBooks_v2/library.books.title',
+      'should not rename named operations'
+    )
+    t.end()
+  })
+
+  t.test('should fall back to operation name when details are missing', (t) => {
+    // Such as operations named from a persisted query manifest.
+    const manifestDetails = { operationType: 'query', operationName: 'GetBooks' }
+    t.equal(
+      formatOperationName(manifestDetails, getTransactionNaming('rootFields')),
+      'query/GetBooks'
+    )
+    t.equal(
+      formatOperationName(manifestDetails, getTransactionNaming('signatureHash')),
+      'query/GetBooks'
+    )
+    t.end()
+  })
+
+  t.test('should apply rules to operation name before strategy', (t) => {
+    const naming = getTransactionNaming({
+      strategy: 'operationName',
+      rules: [
+        { pattern: /_v\d+$/, replacement: '' },
+        { pattern: '^Get', replacement: 'Fetch' }
+      ]
+    })
+
+    t.equal(formatOperationName(operationDetails, naming), 'query/FetchBooks')
+    t.end()
+  })
+
+  t.test('should use function strategy with rewritten details', (t) => {
+    const strategy = sinon.stub().returns('query/custom')
+    const naming = getTransactionNaming({
+      strategy,
+      rules: [{ pattern: /_v\d+$/ }]
+    })
+
+    t.equal(formatOperationName(operationDetails, naming), 'query/custom')
+    t.equal(strategy.args[0][0].operationName, 'GetBooks')
+    t.equal(strategy.args[0][0].deepestUniquePath, 'library.books.title')
+    t.end()
+  })
+
+  t.test('should fall back to full strategy when function returns no name', (t) => {
+    const naming = getTransactionNaming(() => null)
+    t.equal(formatOperationName(operationDetails, naming), 'query/GetBooks_v2/library.books.title')
+    t.end()
+  })
+})
+
+tap.test('getTransactionNaming', (t) => {
+  t.autoend()
+
+  t.test('should warn and use full strategy when strategy is unknown', (t) => {
+    const logger = { warn: sinon.stub() }
+    const naming = getTransactionNaming('shortest', logger)
+
+    t.equal(formatOperationName(operationDetails, naming), 'query/GetBooks_v2/library.books.title')
+    t.equal(logger.warn.callCount, 1)
+    t.end()
+  })
+
+  t.test('should accept normalized naming', (t) => {
+    const naming = getTransactionNaming({ strategy: 'operationName', rules: [{ pattern: '_v2' }] })
+    t.same(getTransactionNaming(naming), naming)
+    t.end()
+  })
+})
+
+tap.test('nameOperation', (t) => {
+  t.autoend()
+
+  let agent = null
+  let logger = null
+  let incrementCallCount = null
+
+  t.beforeEach(() => {
+    incrementCallCount = sinon.stub()
+    agent = { metrics: { getOrCreateMetric: sinon.stub().returns({ incrementCallCount }) } }
+    logger = { warn: sinon.stub() }
+  })
+
+  const withName = (operationName) => Object.assign({}, operationDetails, { operationName })
+
+  // Names an operation and applies the name to a transaction.
+  const applyName = (operationNaming, details) => {
+    const name = nameOperation(operationNaming, details)
+    registerOperationName(operationNaming, name)
+    return name
+  }
+
+  t.test('should collapse new names past maxTransactionNames', (t) => {
+    const operationNaming = createOperationNaming({
+      config: { transactionNaming: getTransactionNaming('operationName'), maxTransactionNames: 2 },
+      agent,
+      logger
+    })
+
+    t.equal(applyName(operationNaming, withName('First')), 'query/First')
+    t.equal(applyName(operationNaming, withName('Second')), 'query/Second')
+    t.equal(applyName(operationNaming, withName('Third')), 'query/<overflow>')
+    t.equal(applyName(operationNaming, withName('Fourth')), 'query/<overflow>')
+    t.equal(applyName(operationNaming, withName('First')), 'query/First', 'should keep known names')
+
+    t.ok(agent.metrics.getOrCreateMetric.alwaysCalledWith(OVERFLOW_METRIC))
+    t.equal(incrementCallCount.callCount, 2, 'should count every overflow')
+    t.equal(logger.warn.callCount, 1, 'should warn once')
+    t.match(logger.warn.args[0], [/maxTransactionNames/, 2, 'query/Third', 'query/<overflow>'])
+    t.end()
+  })
+
+  t.test('should only count names registered for a transaction', (t) => {
+    const operationNaming = createOperationNaming({
+      config: { transactionNaming: getTransactionNaming('operationName'), maxTransactionNames: 2 },
+      agent,
+      logger
+    })
+
+    // Invalid operations are named but the name is never applied.
+    t.equal(nameOperation(operationNaming, withName('Invalid1')), 'query/Invalid1')
+    t.equal(applyName(operationNaming, withName('First')), 'query/First')
+    t.equal(nameOperation(operationNaming, withName('Invalid2')), 'query/Invalid2')
+    t.equal(nameOperation(operationNaming, withName('Invalid3')), 'query/Invalid3')
+    t.equal(applyName(operationNaming, withName('Second')), 'query/Second')
+    t.equal(applyName(operationNaming, withName('Third')), 'query/<overflow>')
+
+    t.same([...operationNaming.names], ['query/First', 'query/Second'])
+    t.equal(incrementCallCount.callCount, 1, 'should only count overflow of applied names')
+    t.end()
+  })
+
+  t.test('should default to 1000 names', (t) => {
+    const operationNaming = createOperationNaming({ config: {}, agent, logger })
+    for (let i = 0; i < 1000; i++) {
+      applyName(operationNaming, withName(`Operation${i}`))
+    }
+
+    t.equal(
+      applyName(operationNaming, withName('Operation999')),
+      'query/Operation999/library.books.title'
+    )
+    t.equal(applyName(operationNaming, withName('Operation1000')), 'query/<overflow>')
+    t.end()
+  })
+})
+
+tap.test('nameClient', (t) => {
+  t.autoend()
+
+  let agent = null
+  let logger = null
+  let incrementCallCount = null
+
+  t.beforeEach(() => {
+    incrementCallCount = sinon.stub()
+    agent = { metrics: { getOrCreateMetric: sinon.stub().returns({ incrementCallCount }) } }
+    logger = { warn: sinon.stub() }
+  })
+
+  t.test('should replace slashes in client names', (t) => {
+    const clientNaming = createClientNaming({ config: {}, agent, logger })
+
+    t.equal(nameClient(clientNaming, 'web/app'), 'web_app')
+    t.end()
+  })
+
+  t.test('should collapse new names past maxClientNames', (t) => {
+    const clientNaming = createClientNaming({ config: { maxClientNames: 2 }, agent, logger })
+
+    t.equal(nameClient(clientNaming, 'web'), 'web')
+    t.equal(nameClient(clientNaming, 'ios'), 'ios')
+    t.equal(nameClient(clientNaming, 'android'), '<overflow>')
+    t.equal(nameClient(clientNaming, 'web'), 'web', 'should keep known names')
+
+    t.ok(agent.metrics.getOrCreateMetric.alwaysCalledWith(CLIENT_OVERFLOW_METRIC))
+    t.equal(incrementCallCount.callCount, 1)
+    t.equal(logger.warn.callCount, 1)
+    t.match(logger.warn.args[0], [/maxClientNames/, 2, 'android', '<overflow>'])
+    t.end()
+  })
+
+  t.test('should default to 100 names', (t) => {
+    const clientNaming = createClientNaming({ config: {}, agent, logger })
+    for (let i = 0; i < 100; i++) {
+      nameClient(clientNaming, `client${i}`)
+    }
+
+    t.equal(nameClient(clientNaming, 'client100'), '<overflow>')
+    t.end()
+  })
+})
+
+tap.test('getRootFields', (t) => {
+  const definition = {
+    selectionSet: {
+      selections: [
+        { kind: 'Field', name: { value: 'library' } },
+        { kind: 'Field', alias: { value: 'other' }, name: { value: 'library' } },
+        {
+          kind: 'InlineFragment',
+          selectionSet: { selections: [{ kind: 'Field', name: { value: 'hello' } }] }
+        },
+        { kind: 'FragmentSpread', name: { value: 'Root' } }
+      ]
+    }
+  }
+  const fragments = {
+    Root: { selectionSet: { selections: [{ kind: 'Field', name: { value: 'books' } }] } }
+  }
+
+  t.same(getRootFields(definition, fragments), ['books', 'hello', 'library'])
+  t.end()
+})
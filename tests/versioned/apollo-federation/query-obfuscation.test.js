@@ -51,7 +51,7 @@ function createQueryObfuscaionTests(t) {
       if (operationSegment) {
         const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
 
-        t.ok(operationAttributes[QUERY_ATTRIBUTE_NAME].includes('library(***)') > 0)
+        t.ok(operationAttributes[QUERY_ATTRIBUTE_NAME].includes('library(id: ***)'))
       }
     })
 
@@ -734,7 +734,7 @@ function createHapiSegmentsTests(t, frameworkName) {
   })
 
   // if parse succeeds but validation fails, there will not be a resolved operation
-  // but the document/AST can still be leveraged for what was intended.
+  // and the operation segment is not named from the invalid document.
   t.test('when cannot validate, should include operation segment', (t) => {
     const { helper, serverUrl } = t.context
 
@@ -748,10 +748,8 @@ function createHapiSegmentsTests(t, frameworkName) {
       }
     }`
 
-    const path = 'libraries.books.doesnotexist.name'
-
     helper.agent.on('transactionFinished', (transaction) => {
-      const operationPart = `query/${ANON_PLACEHOLDER}/${path}`
+      const operationPart = 'validationError'
       const expectedSegments = [
         {
           name: `${TRANSACTION_PREFIX}//${operationPart}`,
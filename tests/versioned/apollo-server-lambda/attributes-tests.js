@@ -10,7 +10,11 @@ const {
   executeQueryAssertResult,
   createApiEvent
 } = require('./lambda-test-utils')
-const { findSegmentByName } = require('../../agent-testing')
+const {
+  findSegmentByName,
+  findResolverSegments,
+  findFirstResolverSegment
+} = require('../../agent-testing')
 const { checkResult } = require('../common')
 
 const SEGMENT_DESTINATION = 0x20
@@ -51,7 +55,7 @@ function createAttributesTests(t) {
       const hasAttribute = Object.hasOwnProperty.bind(operationAttributes)
       t.notOk(hasAttribute('graphql.operation.name'))
 
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedResolveAttributes = {
         'graphql.field.name': 'hello',
@@ -93,7 +97,7 @@ function createAttributesTests(t) {
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedResolveAttributes = {
         'graphql.field.name': 'hello',
@@ -144,7 +148,7 @@ function createAttributesTests(t) {
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const [resolveLibrariesSegment, resolveBooksSegment] = operationSegment.children
+      const [resolveLibrariesSegment, resolveBooksSegment] = findResolverSegments(operationSegment)
 
       const expectedLibrariesAttributes = {
         'graphql.field.name': 'libraries',
@@ -213,7 +217,7 @@ function createAttributesTests(t) {
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const [resolveLibrariesSegment, resolveBooksSegment] = operationSegment.children
+      const [resolveLibrariesSegment, resolveBooksSegment] = findResolverSegments(operationSegment)
 
       const expectedLibrariesAttributes = {
         'graphql.field.name': 'libraries',
@@ -274,7 +278,7 @@ function createAttributesTests(t) {
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedResolveAttributes = {
         'graphql.field.name': 'addThing',
@@ -308,7 +312,7 @@ function createAttributesTests(t) {
       const operationName = `${OPERATION_PREFIX}/mutation/${expectedName}/addThing`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const resolveAttributes = resolveHelloSegment.attributes.get(SEGMENT_DESTINATION)
 
@@ -340,7 +344,7 @@ function createAttributesTests(t) {
       const operationName = `${OPERATION_PREFIX}/mutation/${expectedName}/addThing`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const resolveAttributes = resolveHelloSegment.attributes.get(SEGMENT_DESTINATION)
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
@@ -372,7 +376,7 @@ function createAttributesTests(t) {
       const operationName = `${OPERATION_PREFIX}/query/${expectedName}/paramQuery`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedArgAttributes = {
         'graphql.field.args.blah': 'first',
@@ -417,7 +421,7 @@ function createAttributesTests(t) {
       const operationName = `${OPERATION_PREFIX}/query/${expectedName}/paramQuery`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedArgAttributes = {
         'graphql.field.args.blah': 'first',
@@ -447,12 +451,12 @@ function createAttributesTests(t) {
     }`
 
     helper.agent.on('transactionFinished', (transaction) => {
-      const operationName = `${OPERATION_PREFIX}/query/${expectedName}/ciao`
+      const operationName = `${OPERATION_PREFIX}/validationError`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
 
       const expectedOperationAttributes = {
-        'graphql.operation.query': query
+        'graphql.operation.query': `query ${expectedName} { ciao }`
       }
 
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
@@ -490,13 +494,13 @@ function createAttributesTests(t) {
       const expectedOperationAttributes = {
         'graphql.operation.type': 'query',
         'graphql.operation.name': expectedName,
-        'graphql.operation.query': query.replace('contains: "Ollies"', '***')
+        'graphql.operation.query': `query ${expectedName} { search(contains: ***) { __typename ... on Book { title } } }`
       }
 
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedResolveAttributes = {
         'graphql.field.name': 'search',
@@ -542,13 +546,13 @@ function createAttributesTests(t) {
       const expectedOperationAttributes = {
         'graphql.operation.type': 'query',
         'graphql.operation.name': expectedName,
-        'graphql.operation.query': query.replace('contains: "Node"', '***')
+        'graphql.operation.query': `query ${expectedName} { search(contains: ***) { __typename ... on Magazine { title } ... on Book { title } } }`
       }
 
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedResolveAttributes = {
         'graphql.field.name': 'search',
@@ -592,7 +596,7 @@ function createAttributesTests(t) {
 
       const expectedOperationAttributes = {
         'graphql.operation.type': 'query',
-        'graphql.operation.query': query,
+        'graphql.operation.query': `query ${expectedName} { hello }`,
         'graphql.operation.name': expectedName
       }
 
@@ -8,7 +8,6 @@
 const { executeQueryAssertErrors } = require('./lambda-test-utils')
 const agentTesting = require('../../agent-testing')
 
-const ANON_PLACEHOLDER = '<anonymous>'
 const UNKNOWN_OPERATION = '<unknown>'
 
 const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
@@ -83,8 +82,7 @@ function createErrorTests(t) {
       }
     }`
 
-    const deepestPath = 'libraries.books.doesnotexist.name'
-    const expectedOperationName = `${OPERATION_PREFIX}/query/${ANON_PLACEHOLDER}/${deepestPath}`
+    const expectedOperationName = `${OPERATION_PREFIX}/validationError`
 
     helper.agent.on('transactionFinished', (transaction) => {
       const errorTraces = agentTesting.getErrorTraces(helper.agent)
@@ -52,7 +52,7 @@ function createQueryObfuscationTests(t) {
 
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
 
-      t.ok(operationAttributes[QUERY_ATTRIBUTE_NAME].includes('library(***)') > 0)
+      t.ok(operationAttributes[QUERY_ATTRIBUTE_NAME].includes('library(branch: ***)'))
 
       const resolverName = `${RESOLVE_PREFIX}/library`
       const resolverSegment = findSegmentByName(transaction.trace.root, resolverName)
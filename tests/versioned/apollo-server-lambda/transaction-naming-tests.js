@@ -370,7 +370,7 @@ function createTransactionTests(t, frameworkName) {
   })
 
   // there will be no document/AST nor resolved operation
-  t.test('if the query cannot be parsed, should be named /*', (t) => {
+  t.test('if the query cannot be parsed, should be named /GraphQL/parseError', (t) => {
     const { helper, patchedHandler, stubContext, modVersion } = t.context
 
     const invalidQuery = `query {
@@ -385,7 +385,7 @@ function createTransactionTests(t, frameworkName) {
     ` // missing closing }
 
     helper.agent.on('transactionFinished', (transaction) => {
-      t.equal(transaction.name, `${EXPECTED_PREFIX}//*`)
+      t.equal(transaction.name, `${EXPECTED_PREFIX}//GraphQL/parseError`)
     })
 
     executeQueryAssertErrors({
@@ -399,8 +399,8 @@ function createTransactionTests(t, frameworkName) {
   })
 
   // if parse succeeds but validation fails, there will not be a resolved operation
-  // but the document/AST can still be leveraged for what was intended.
-  t.test('anonymous query, when cant validate, should use document/AST', (t) => {
+  // and the transaction is named by the outcome.
+  t.test('anonymous query, when cant validate, should be named /GraphQL/validationError', (t) => {
     const { helper, patchedHandler, stubContext, modVersion } = t.context
 
     const invalidQuery = `query {
@@ -413,10 +413,8 @@ function createTransactionTests(t, frameworkName) {
       }
     }`
 
-    const path = 'libraries.books.doesnotexist.name'
-
     helper.agent.on('transactionFinished', (transaction) => {
-      t.equal(transaction.name, `${EXPECTED_PREFIX}//query/${ANON_PLACEHOLDER}/${path}`)
+      t.equal(transaction.name, `${EXPECTED_PREFIX}//GraphQL/validationError`)
     })
 
     executeQueryAssertErrors({
@@ -430,8 +428,8 @@ function createTransactionTests(t, frameworkName) {
   })
 
   // if parse succeeds but validation fails, there will not be a resolved operation
-  // but the document/AST can still be leveraged for what was intended.
-  t.test('named query, when cant validate, should use document/AST', (t) => {
+  // and the transaction is named by the outcome.
+  t.test('named query, when cant validate, should be named /GraphQL/validationError', (t) => {
     const { helper, patchedHandler, stubContext, modVersion } = t.context
 
     const expectedName = 'FailsToValidate'
@@ -445,10 +443,8 @@ function createTransactionTests(t, frameworkName) {
       }
     }`
 
-    const path = 'libraries.books.doesnotexist.name'
-
     helper.agent.on('transactionFinished', (transaction) => {
-      t.equal(transaction.name, `${EXPECTED_PREFIX}//query/${expectedName}/${path}`)
+      t.equal(transaction.name, `${EXPECTED_PREFIX}//GraphQL/validationError`)
     })
 
     executeQueryAssertErrors({
@@ -0,0 +1,297 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const tap = require('tap')
+
+const utils = require('@newrelic/test-utilities')
+utils.assert.extendTap(tap)
+
+const { findSegmentByName } = require('../../agent-testing')
+
+const SEGMENT_DESTINATION = 0x20
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const EVENT_PREFIX = 'GraphQL/event/ApolloServer'
+const RESOLVE_PREFIX = 'GraphQL/resolve/ApolloServer'
+const TYPED_RESOLVE_PREFIX = 'GraphQL/typedResolve/ApolloServer'
+const TRANSACTION_PREFIX = 'OtherTransaction/GraphQL'
+
+const books = [
+  { title: 'Node Agent: The Book', author: 'Sentient Bits' },
+  { title: 'Be a hero: fixing the things you broke', author: '10x Developer' }
+]
+
+const typeDefs = `
+  type Book {
+    title: String!
+    author: Author!
+  }
+
+  type Author {
+    name: String!
+  }
+
+  type Query {
+    hello: String
+    greeting: String
+  }
+
+  type Subscription {
+    bookAdded(limit: Int): Book!
+  }
+`
+
+const resolvers = {
+  Query: {
+    hello: () => 'hello world'
+  },
+  Subscription: {
+    bookAdded: {
+      subscribe: async function* subscribe(_, { limit }) {
+        let count = 0
+        while (limit === undefined || count < limit) {
+          yield { bookAdded: books[count % books.length] }
+          count++
+          await new Promise((resolve) => setTimeout(resolve, 1))
+        }
+      }
+    }
+  },
+  Book: {
+    author(parent) {
+      return { name: parent.author }
+    }
+  }
+}
+
+tap.test('graphql-ws subscriptions', (t) => {
+  t.autoend()
+
+  let helper = null
+  let wsServer = null
+  let serverCleanup = null
+  let client = null
+  let schema = null
+  let instrumentSubscribe = null
+  let nrApi = null
+
+  t.before(async () => {
+    helper = utils.TestAgent.makeInstrumented()
+    instrumentSubscribe = require('../../../lib/subscriptions')
+    nrApi = helper.getAgentApi()
+
+    const { WebSocketServer } = require('ws')
+    const { useServer } = require('graphql-ws/lib/use/ws')
+    const { createClient } = require('graphql-ws')
+    const { makeExecutableSchema } = require('@graphql-tools/schema')
+    const { subscribe, defaultFieldResolver } = require('graphql')
+    const WebSocket = require('ws')
+
+    schema = makeExecutableSchema({ typeDefs, resolvers })
+
+    wsServer = new WebSocketServer({ port: 0 })
+    await new Promise((resolve) => wsServer.once('listening', resolve))
+
+    serverCleanup = useServer(
+      { schema, subscribe: instrumentSubscribe(nrApi, subscribe, { defaultFieldResolver }) },
+      wsServer
+    )
+
+    client = createClient({
+      url: `ws://localhost:${wsServer.address().port}`,
+      webSocketImpl: WebSocket,
+      lazy: true
+    })
+  })
+
+  t.teardown(async () => {
+    await client.dispose()
+    await serverCleanup.dispose()
+    await new Promise((resolve) => wsServer.close(resolve))
+    helper.unload()
+  })
+
+  t.test('should record subscription as a background transaction', (t) => {
+    const operationPart = 'subscription/BookAdded/bookAdded'
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      t.equal(transaction.name, `${TRANSACTION_PREFIX}/${operationPart}`)
+
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/${operationPart}`
+      )
+      t.ok(operationSegment, 'should have operation segment')
+
+      const eventSegments = operationSegment.children.filter(
+        (child) => child.name === `${EVENT_PREFIX}/${operationPart}`
+      )
+      t.equal(eventSegments.length, 2, 'should have a segment per event')
+
+      eventSegments.forEach((eventSegment) => {
+        t.exactSegments(eventSegment, [
+          { name: `${RESOLVE_PREFIX}/bookAdded` },
+          { name: `${RESOLVE_PREFIX}/bookAdded.author` }
+        ])
+      })
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.match(attributes, {
+        'graphql.operation.type': 'subscription',
+        'graphql.operation.name': 'BookAdded',
+        'graphql.operation.query': /bookAdded\(limit: \*\*\*\)/,
+        'graphql.subscription.eventCount': 2
+      })
+      t.ok(attributes['graphql.subscription.lifetime'] >= 0, 'should record lifetime')
+
+      t.metrics([
+        `${OPERATION_PREFIX}/${operationPart}`,
+        `${RESOLVE_PREFIX}/bookAdded`,
+        `${RESOLVE_PREFIX}/author`,
+        `${TYPED_RESOLVE_PREFIX}/Subscription.bookAdded`,
+        `${TYPED_RESOLVE_PREFIX}/Book.author`
+      ])
+
+      const eventMetric = helper.agent.metrics.getMetric(`${EVENT_PREFIX}/${operationPart}`)
+      t.equal(eventMetric.callCount, 2, 'should record metric per event')
+    })
+
+    const results = []
+    client.subscribe(
+      {
+        query: `subscription BookAdded {
+          bookAdded(limit: 2) {
+            title
+            author {
+              name
+            }
+          }
+        }`
+      },
+      {
+        next: (result) => results.push(result),
+        error: t.error,
+        complete: () => {
+          t.equal(results.length, 2)
+          t.same(results[0].data.bookAdded, {
+            title: books[0].title,
+            author: { name: books[0].author }
+          })
+          t.end()
+        }
+      }
+    )
+  })
+
+  t.test('should end transaction when client unsubscribes', (t) => {
+    const operationPart = 'subscription/<anonymous>/bookAdded.title'
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      t.equal(transaction.name, `${TRANSACTION_PREFIX}/${operationPart}`)
+
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/${operationPart}`
+      )
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      // events may still be published while the unsubscribe is in flight
+      t.ok(attributes['graphql.subscription.eventCount'] >= 3)
+      t.end()
+    })
+
+    let count = 0
+    const unsubscribe = client.subscribe(
+      { query: 'subscription { bookAdded { title } }' },
+      {
+        next: () => {
+          count++
+          if (count === 3) {
+            unsubscribe()
+          }
+        },
+        error: t.error,
+        complete: () => {}
+      }
+    )
+  })
+
+  t.test('should not change the schema used by other operations', async (t) => {
+    const { execute, parse } = require('graphql')
+
+    // A subscription was started by the prior tests.
+    const result = await execute({
+      schema,
+      document: parse('{ greeting }'),
+      fieldResolver: () => 'from fieldResolver'
+    })
+
+    t.same(result.data, { greeting: 'from fieldResolver' })
+    t.notOk(schema.getQueryType().getFields().greeting.resolve, 'should not set resolvers')
+  })
+
+  t.test('should only record fields with resolvers without defaultFieldResolver', async (t) => {
+    const { subscribe, parse } = require('graphql')
+    const wrapped = instrumentSubscribe(nrApi, subscribe)
+
+    const transactionFinished = new Promise((resolve) => {
+      helper.agent.once('transactionFinished', resolve)
+    })
+
+    const iterator = await wrapped({
+      schema,
+      document: parse('subscription Authors { bookAdded(limit: 1) { author { name } } }')
+    })
+    for await (const result of iterator) {
+      t.same(result.data.bookAdded, { author: { name: books[0].author } })
+    }
+
+    const transaction = await transactionFinished
+    const operationSegment = findSegmentByName(
+      transaction.trace.root,
+      `${OPERATION_PREFIX}/subscription/Authors/bookAdded.author.name`
+    )
+    const [eventSegment] = operationSegment.children.filter((child) =>
+      child.name.startsWith(EVENT_PREFIX)
+    )
+
+    t.exactSegments(eventSegment, [{ name: `${RESOLVE_PREFIX}/bookAdded.author` }])
+  })
+
+  t.test('should apply the resolver segment budget to each event', async (t) => {
+    const { subscribe, parse, defaultFieldResolver } = require('graphql')
+    const wrapped = instrumentSubscribe(nrApi, subscribe, {
+      maxResolverSegments: 1,
+      defaultFieldResolver
+    })
+
+    const transactionFinished = new Promise((resolve) => {
+      helper.agent.once('transactionFinished', resolve)
+    })
+
+    const iterator = await wrapped({
+      schema,
+      document: parse('subscription Budget { bookAdded(limit: 2) { title } }')
+    })
+    for await (const result of iterator) {
+      t.ok(result.data.bookAdded)
+    }
+
+    const transaction = await transactionFinished
+    const operationSegment = findSegmentByName(
+      transaction.trace.root,
+      `${OPERATION_PREFIX}/subscription/Budget/bookAdded.title`
+    )
+    const eventSegments = operationSegment.children.filter((child) =>
+      child.name.startsWith(EVENT_PREFIX)
+    )
+
+    t.equal(eventSegments.length, 2)
+    eventSegments.forEach((eventSegment) => {
+      t.exactSegments(eventSegment, [{ name: `${RESOLVE_PREFIX}/bookAdded` }])
+    })
+  })
+})
@@ -0,0 +1,173 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const http = require('http')
+const tap = require('tap')
+
+const utils = require('@newrelic/test-utilities')
+utils.assert.extendTap(tap)
+
+const { getTypeDefs, resolvers } = require('../../data-definitions')
+const { findSegmentByName } = require('../../agent-testing')
+const { clearCachedModules } = require('../../utils')
+
+const SEGMENT_DESTINATION = 0x20
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const RESOLVE_PREFIX = 'GraphQL/resolve/ApolloServer'
+const DEFER_PREFIX = 'GraphQL/defer/ApolloServer'
+const STREAM_PREFIX = 'GraphQL/stream/ApolloServer'
+
+// Incremental delivery requires the directives to be defined in the schema
+// when using the graphql v17 pre-releases.
+const INCREMENTAL_DIRECTIVES = `
+  directive @defer(if: Boolean! = true, label: String) on FRAGMENT_SPREAD | INLINE_FRAGMENT
+  directive @stream(if: Boolean! = true, label: String, initialCount: Int = 0) on FIELD
+`
+
+/**
+ * Executes a query accepting an incremental delivery response.
+ * The multipart body is returned as raw text.
+ */
+function executeIncrementalQuery(url, query, callback) {
+  const postData = JSON.stringify({ query })
+
+  const options = {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(postData),
+      'Accept': 'multipart/mixed; deferSpec=20220824, application/json'
+    }
+  }
+
+  const req = http.request(url, options, (res) => {
+    res.setEncoding('utf8')
+
+    let data = ''
+    res.on('data', (chunk) => {
+      data += chunk
+    })
+
+    res.on('end', () => {
+      callback(null, data)
+    })
+  })
+
+  req.on('error', callback)
+  req.write(postData)
+  req.end()
+}
+
+tap.test('apollo-server: incremental delivery', (t) => {
+  t.autoend()
+
+  let helper = null
+  let server = null
+  let serverUrl = null
+
+  t.before(async () => {
+    helper = utils.TestAgent.makeFullyInstrumented()
+    const createPlugin = require('../../../lib/create-plugin')
+
+    const { ApolloServer } = require('@apollo/server')
+    const { startStandaloneServer } = require('@apollo/server/standalone')
+    const gql = require('graphql-tag')
+
+    server = new ApolloServer({
+      typeDefs: [gql(INCREMENTAL_DIRECTIVES), getTypeDefs(gql)],
+      resolvers,
+      plugins: [createPlugin(helper.getAgentApi())]
+    })
+
+    const { url } = await startStandaloneServer(server, { listen: { port: 0 } })
+    serverUrl = url
+  })
+
+  t.teardown(async () => {
+    await server.stop()
+    helper.unload()
+    clearCachedModules(['express', '@apollo/server'], __dirname)
+  })
+
+  t.test('should keep operation open until deferred fragments are sent', (t) => {
+    const expectedName = 'DeferBooks'
+    const query = `query ${expectedName} {
+      library(branch: "downtown") {
+        branch
+        ... @defer(label: "books") {
+          books {
+            title
+          }
+        }
+      }
+    }`
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationName = `${OPERATION_PREFIX}/query/${expectedName}/library`
+      const operationSegment = findSegmentByName(transaction.trace.root, operationName)
+      t.ok(operationSegment, 'should have operation segment')
+
+      const deferSegment = findSegmentByName(operationSegment, `${DEFER_PREFIX}/library`)
+      t.ok(deferSegment, 'should have deferred fragment segment')
+      t.match(deferSegment.attributes.get(SEGMENT_DESTINATION), {
+        'graphql.incremental.label': 'books',
+        'graphql.incremental.path': 'library'
+      })
+
+      const booksSegment = findSegmentByName(operationSegment, `${RESOLVE_PREFIX}/library.books`)
+      t.ok(booksSegment, 'should nest deferred resolver under operation')
+      t.ok(
+        booksSegment.timer.start + booksSegment.getDurationInMillis() <=
+          operationSegment.timer.start + operationSegment.getDurationInMillis(),
+        'deferred resolver should finish before the operation'
+      )
+
+      t.match(operationSegment.attributes.get(SEGMENT_DESTINATION), {
+        'graphql.operation.subsequentPayloads': 1,
+        'graphql.operation.incrementalDuration': Number
+      })
+
+      t.metrics([`${DEFER_PREFIX}/library`])
+    })
+
+    executeIncrementalQuery(serverUrl, query, (err, body) => {
+      t.error(err)
+      t.match(body, /"hasNext":false/)
+      t.end()
+    })
+  })
+
+  t.test('should create a segment per stream batch', (t) => {
+    const query = `query {
+      library(branch: "downtown") {
+        books @stream(initialCount: 1) {
+          title
+        }
+      }
+    }`
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationName = `${OPERATION_PREFIX}/query/<anonymous>/library.books.title`
+      const operationSegment = findSegmentByName(transaction.trace.root, operationName)
+
+      const streamSegments = operationSegment.children.filter(
+        (child) => child.name === `${STREAM_PREFIX}/library.books`
+      )
+      t.ok(streamSegments.length > 0, 'should have stream batch segments')
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.ok(attributes['graphql.operation.subsequentPayloads'] > 0)
+    })
+
+    executeIncrementalQuery(serverUrl, query, (err, body) => {
+      t.error(err)
+      t.match(body, /"hasNext":false/)
+      t.end()
+    })
+  })
+})
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const tap = require('tap')
+
+const utils = require('@newrelic/test-utilities')
+utils.assert.extendTap(tap)
+
+const { executeQuery } = require('../../test-client')
+const { findSegmentByName } = require('../../agent-testing')
+const { clearCachedModules } = require('../../utils')
+
+const SEGMENT_DESTINATION = 0x20
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const CACHED_OPERATION_PREFIX = 'GraphQL/cachedOperation/ApolloServer'
+const RESOLVE_PREFIX = 'GraphQL/resolve/ApolloServer'
+
+const typeDefs = `
+  enum CacheControlScope {
+    PUBLIC
+    PRIVATE
+  }
+
+  directive @cacheControl(
+    maxAge: Int
+    scope: CacheControlScope
+    inheritMaxAge: Boolean
+  ) on FIELD_DEFINITION | OBJECT | INTERFACE | UNION
+
+  type Book @cacheControl(maxAge: 60) {
+    title: String
+  }
+
+  type Query {
+    books: [Book] @cacheControl(maxAge: 30, scope: PUBLIC)
+    uncachedTitles: [String]
+  }
+`
+
+const books = [{ title: 'Node Agent: The Book' }, { title: 'Sentient Bits: The Sequel' }]
+
+tap.test('apollo-server: response cache', (t) => {
+  t.autoend()
+
+  let helper = null
+  let server = null
+  let serverUrl = null
+
+  t.before(async () => {
+    helper = utils.TestAgent.makeFullyInstrumented()
+    const createPlugin = require('../../../lib/create-plugin')
+
+    const { ApolloServer } = require('@apollo/server')
+    const { startStandaloneServer } = require('@apollo/server/standalone')
+    const responseCachePlugin = require('@apollo/server-plugin-response-cache').default
+
+    server = new ApolloServer({
+      typeDefs,
+      resolvers: {
+        Query: {
+          books: () => books,
+          uncachedTitles: () => books.map((book) => book.title)
+        }
+      },
+      plugins: [createPlugin(helper.getAgentApi()), responseCachePlugin()]
+    })
+
+    const { url } = await startStandaloneServer(server, { listen: { port: 0 } })
+    serverUrl = url
+  })
+
+  t.teardown(async () => {
+    await server.stop()
+    helper.unload()
+    clearCachedModules(['express', '@apollo/server'], __dirname)
+  })
+
+  const expectedName = 'GetBooks'
+  const query = `query ${expectedName} {
+    books {
+      title
+    }
+  }`
+  const operationPath = `query/${expectedName}/books.title`
+
+  t.test('should record cache policy and field cache hints', (t) => {
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationName = `${OPERATION_PREFIX}/${operationPath}`
+      const operationSegment = findSegmentByName(transaction.trace.root, operationName)
+
+      t.match(operationSegment.attributes.get(SEGMENT_DESTINATION), {
+        'graphql.cache.maxAge': 30,
+        'graphql.cache.scope': 'PUBLIC',
+        'graphql.cache.responseCacheHit': false
+      })
+
+      const booksSegment = findSegmentByName(operationSegment, `${RESOLVE_PREFIX}/books`)
+      t.match(booksSegment.attributes.get(SEGMENT_DESTINATION), {
+        'graphql.field.cacheMaxAge': 30,
+        'graphql.field.cacheScope': 'PUBLIC'
+      })
+
+      t.metrics([operationName])
+    })
+
+    executeQuery(serverUrl, query, (err, result) => {
+      t.error(err)
+      t.same(result.data.books, books)
+      t.end()
+    })
+  })
+
+  t.test('should record cached responses under their own metrics', (t) => {
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationName = `${OPERATION_PREFIX}/${operationPath}`
+      const operationSegment = findSegmentByName(transaction.trace.root, operationName)
+
+      t.match(operationSegment.attributes.get(SEGMENT_DESTINATION), {
+        'graphql.cache.maxAge': 30,
+        'graphql.cache.responseCacheHit': true
+      })
+
+      const cachedOperationName = `${CACHED_OPERATION_PREFIX}/${operationPath}`
+      t.metrics([{ name: cachedOperationName, scope: transaction.name }, cachedOperationName])
+
+      const operationMetric = helper.agent.metrics.getMetric(operationName)
+      t.equal(operationMetric.callCount, 1, 'should only count the uncached response')
+    })
+
+    executeQuery(serverUrl, query, (err, result) => {
+      t.error(err)
+      t.same(result.data.books, books)
+      t.end()
+    })
+  })
+
+  t.test('should record a max age of 0 for uncacheable responses', (t) => {
+    const uncachedQuery = `query GetUncachedTitles {
+      uncachedTitles
+    }`
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationName = `${OPERATION_PREFIX}/query/GetUncachedTitles/uncachedTitles`
+      const operationSegment = findSegmentByName(transaction.trace.root, operationName)
+
+      const attributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.equal(attributes['graphql.cache.maxAge'], 0)
+      t.notOk(attributes['graphql.cache.scope'])
+      t.equal(attributes['graphql.cache.responseCacheHit'], false)
+    })
+
+    executeQuery(serverUrl, uncachedQuery, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+})
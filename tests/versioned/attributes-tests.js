@@ -6,7 +6,11 @@
 'use strict'
 
 const { executeQuery, executeJson } = require('../test-client')
-const { findSegmentByName } = require('../agent-testing')
+const {
+  findSegmentByName,
+  findResolverSegments,
+  findFirstResolverSegment
+} = require('../agent-testing')
 
 const SEGMENT_DESTINATION = 0x20
 const SPAN_DESTINATION = 0x10
@@ -45,7 +49,7 @@ function createAttributesTests(t) {
       const hasAttribute = Object.hasOwnProperty.bind(operationAttributes)
       t.notOk(hasAttribute('graphql.operation.name'))
 
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedResolveAttributes = {
         'graphql.field.name': 'hello',
@@ -86,7 +90,7 @@ function createAttributesTests(t) {
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedResolveAttributes = {
         'graphql.field.name': 'hello',
@@ -134,7 +138,7 @@ function createAttributesTests(t) {
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const [resolveLibrariesSegment, resolveBooksSegment] = operationSegment.children
+      const [resolveLibrariesSegment, resolveBooksSegment] = findResolverSegments(operationSegment)
 
       const expectedLibrariesAttributes = {
         'graphql.field.name': 'libraries',
@@ -201,7 +205,7 @@ function createAttributesTests(t) {
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const [resolveLibrariesSegment, resolveBooksSegment] = operationSegment.children
+      const [resolveLibrariesSegment, resolveBooksSegment] = findResolverSegments(operationSegment)
 
       const expectedLibrariesAttributes = {
         'graphql.field.name': 'libraries',
@@ -259,7 +263,7 @@ function createAttributesTests(t) {
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedResolveAttributes = {
         'graphql.field.name': 'addThing',
@@ -290,7 +294,7 @@ function createAttributesTests(t) {
       const operationName = `${OPERATION_PREFIX}/mutation/${expectedName}/addThing`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const resolveAttributes = resolveHelloSegment.attributes.get(SEGMENT_DESTINATION)
 
@@ -319,7 +323,7 @@ function createAttributesTests(t) {
       const operationName = `${OPERATION_PREFIX}/mutation/${expectedName}/addThing`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const resolveAttributes = resolveHelloSegment.attributes.get(SEGMENT_DESTINATION)
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
@@ -348,7 +352,7 @@ function createAttributesTests(t) {
       const operationName = `${OPERATION_PREFIX}/query/${expectedName}/paramQuery`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedArgAttributes = {
         'graphql.field.args.blah': 'first',
@@ -384,7 +388,7 @@ function createAttributesTests(t) {
       const operationName = `${OPERATION_PREFIX}/query/${expectedName}/searchByBook`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedArgAttributes = {
         'graphql.field.args.book.author.name': '10x Developer',
@@ -426,7 +430,7 @@ function createAttributesTests(t) {
       const operationName = `${OPERATION_PREFIX}/query/${expectedName}/paramQuery`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedArgAttributes = {
         'graphql.field.args.blah': 'first',
@@ -453,12 +457,12 @@ function createAttributesTests(t) {
     }`
 
     helper.agent.once('transactionFinished', (transaction) => {
-      const operationName = `${OPERATION_PREFIX}/query/${expectedName}/ciao`
+      const operationName = `${OPERATION_PREFIX}/validationError`
 
       const operationSegment = findSegmentByName(transaction.trace.root, operationName)
 
       const expectedOperationAttributes = {
-        'graphql.operation.query': query
+        'graphql.operation.query': `query ${expectedName} { ciao }`
       }
 
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
@@ -472,6 +476,39 @@ function createAttributesTests(t) {
     })
   })
 
+  t.test('should capture normalized signature in operation segment attributes', (t) => {
+    const { helper, serverUrl } = t.context
+
+    const expectedName = 'GetSearchResult'
+    const query = `query ${expectedName} {
+      results: search(contains: "Ollies") {
+        ...BookParts
+        __typename
+      }
+    }
+    fragment BookParts on Book {
+      title
+      author { name }
+    }`
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      const operationName = `${OPERATION_PREFIX}/query/${expectedName}/search.BookParts`
+      const operationSegment = findSegmentByName(transaction.trace.root, operationName)
+
+      const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
+      t.equal(
+        operationAttributes['graphql.operation.signature'],
+        `query ${expectedName}{search(contains:""){__typename ...on Book{author{name} title}}}`
+      )
+      t.match(operationAttributes['graphql.operation.signatureHash'], /^[0-9a-f]{16}$/)
+    })
+
+    executeQuery(serverUrl, query, (err) => {
+      t.error(err)
+      t.end()
+    })
+  })
+
   t.test('union, should capture all expected attributes', (t) => {
     const { helper, serverUrl } = t.context
 
@@ -493,13 +530,13 @@ function createAttributesTests(t) {
       const expectedOperationAttributes = {
         'graphql.operation.type': 'query',
         'graphql.operation.name': expectedName,
-        'graphql.operation.query': query.replace('contains: "Ollies"', '***')
+        'graphql.operation.query': `query ${expectedName} { search(contains: ***) { __typename ... on Book { title } } }`
       }
 
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedResolveAttributes = {
         'graphql.field.name': 'search',
@@ -542,13 +579,13 @@ function createAttributesTests(t) {
       const expectedOperationAttributes = {
         'graphql.operation.type': 'query',
         'graphql.operation.name': expectedName,
-        'graphql.operation.query': query.replace('contains: "Node"', '***')
+        'graphql.operation.query': `query ${expectedName} { search(contains: ***) { __typename ... on Magazine { title } ... on Book { title } } }`
       }
 
       const operationAttributes = operationSegment.attributes.get(SEGMENT_DESTINATION)
       t.match(operationAttributes, expectedOperationAttributes, 'should have operation attributes')
 
-      const resolveHelloSegment = operationSegment.children[0]
+      const resolveHelloSegment = findFirstResolverSegment(operationSegment)
 
       const expectedResolveAttributes = {
         'graphql.field.name': 'search',
@@ -589,7 +626,7 @@ function createAttributesTests(t) {
 
       const expectedOperationAttributes = {
         'graphql.operation.type': 'query',
-        'graphql.operation.query': query,
+        'graphql.operation.query': `query ${expectedName} { hello }`,
         'graphql.operation.name': expectedName
       }
 
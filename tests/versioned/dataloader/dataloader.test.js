@@ -0,0 +1,163 @@
+/*
+ * Copyright 2023 New Relic Corporation. All rights reserved.
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict'
+
+const tap = require('tap')
+
+const utils = require('@newrelic/test-utilities')
+utils.assert.extendTap(tap)
+
+const { executeQuery } = require('../../test-client')
+const { findSegmentByName } = require('../../agent-testing')
+const { clearCachedModules } = require('../../utils')
+
+const SEGMENT_DESTINATION = 0x20
+
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
+const RESOLVE_PREFIX = 'GraphQL/resolve/ApolloServer'
+const BATCH_SEGMENT_NAME = 'GraphQL/dataloader/authorLoader/batch'
+
+const typeDefs = `
+  type Author {
+    name: String
+  }
+
+  type Book {
+    title: String
+    author: Author
+  }
+
+  type Query {
+    books: [Book]
+  }
+`
+
+const books = [
+  { title: 'Node Agent: The Book', author: 'Sentient Bits' },
+  { title: 'Be a hero: fixing the things you broke', author: '10x Developer' },
+  { title: 'Sentient Bits: The Sequel', author: 'Sentient Bits' }
+]
+
+tap.test('DataLoader instrumentation', (t) => {
+  t.autoend()
+
+  let helper = null
+  let server = null
+  let serverUrl = null
+  let batchCalls = null
+
+  t.before(async () => {
+    helper = utils.TestAgent.makeFullyInstrumented()
+    const createPlugin = require('../../../lib/create-plugin')
+    const instrumentDataLoader = require('../../../lib/dataloader')
+    const nrApi = helper.getAgentApi()
+
+    const DataLoader = instrumentDataLoader(nrApi, require('dataloader'))
+
+    const { ApolloServer } = require('@apollo/server')
+    const { startStandaloneServer } = require('@apollo/server/standalone')
+
+    server = new ApolloServer({
+      typeDefs,
+      resolvers: {
+        Query: {
+          books: () => books
+        },
+        Book: {
+          author: (book, args, context) => context.authorLoader.load(book.author)
+        }
+      },
+      plugins: [createPlugin(nrApi)]
+    })
+
+    const { url } = await startStandaloneServer(server, {
+      listen: { port: 0 },
+      context: async () => ({
+        authorLoader: new DataLoader(function authorLoader(names) {
+          batchCalls.push(names)
+          return new Promise((resolve) => {
+            setTimeout(() => resolve(names.map((name) => ({ name }))), 5)
+          })
+        })
+      })
+    })
+    serverUrl = url
+  })
+
+  t.beforeEach(() => {
+    batchCalls = []
+  })
+
+  t.teardown(async () => {
+    await server.stop()
+    helper.unload()
+    clearCachedModules(['express', '@apollo/server', 'dataloader'], __dirname)
+  })
+
+  t.test('should nest batch segment under operation segment', (t) => {
+    const query = `query GetBooks {
+      books {
+        title
+        author {
+          name
+        }
+      }
+    }`
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      t.equal(batchCalls.length, 1, 'should batch all author loads')
+
+      const operationSegment = findSegmentByName(
+        transaction.trace.root,
+        `${OPERATION_PREFIX}/query/GetBooks/books`
+      )
+
+      const batchSegments = operationSegment.children.filter(
+        (child) => child.name === BATCH_SEGMENT_NAME
+      )
+      t.equal(batchSegments.length, 1, 'should have batch segment under operation')
+
+      const [batchSegment] = batchSegments
+      t.match(batchSegment.attributes.get(SEGMENT_DESTINATION), {
+        'graphql.dataloader.name': 'authorLoader',
+        'graphql.dataloader.batchSize': 2,
+        'graphql.dataloader.cacheHits': 1
+      })
+      t.ok(batchSegment.getDurationInMillis() >= 5, 'should time batch function')
+
+      const timerSegment = findSegmentByName(batchSegment, 'timers.setTimeout')
+      t.ok(timerSegment, 'should nest work of batch function under batch segment')
+
+      const authorSegments = operationSegment.children.filter(
+        (child) => child.name === `${RESOLVE_PREFIX}/books.author`
+      )
+      t.equal(authorSegments.length, 3)
+      authorSegments.forEach((authorSegment) => {
+        const attributes = authorSegment.attributes.get(SEGMENT_DESTINATION)
+        t.notOk(findSegmentByName(authorSegment, BATCH_SEGMENT_NAME), 'should not nest batch')
+        if (attributes['graphql.dataloader.batchId']) {
+          t.equal(attributes['graphql.dataloader.batchId'], batchSegment.id)
+        }
+      })
+
+      const linked = authorSegments.filter(
+        (segment) => segment.attributes.get(SEGMENT_DESTINATION)['graphql.dataloader.batchId']
+      )
+      t.equal(linked.length, 2, 'should link resolvers loading keys of the batch')
+
+      t.metrics([{ name: BATCH_SEGMENT_NAME, scope: transaction.name }, BATCH_SEGMENT_NAME])
+    })
+
+    executeQuery(serverUrl, query, (err, result) => {
+      t.error(err)
+      t.same(
+        result.data.books.map((book) => book.author.name),
+        books.map((book) => book.author)
+      )
+      t.end()
+    })
+  })
+})
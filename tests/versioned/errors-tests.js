@@ -8,11 +8,11 @@
 const { executeQuery, makeRequest } = require('../test-client')
 const agentTesting = require('../agent-testing')
 
-const ANON_PLACEHOLDER = '<anonymous>'
 const UNKNOWN_OPERATION = '<unknown>'
 
 const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
 const RESOLVE_PREFIX = 'GraphQL/resolve/ApolloServer'
+const ERRORS_PREFIX = 'GraphQL/errors/ApolloServer'
 
 /**
  * Creates a set of standard error capture tests to run against various
@@ -59,6 +59,13 @@ function createErrorTests(t, _, isApollo4) {
       t.equal(intrinsics.name, `${OPERATION_PREFIX}/${UNKNOWN_OPERATION}`)
       t.equal(attributes['error.message'], expectedErrorMessage)
       t.equal(attributes['error.class'], expectedErrorType)
+
+      t.match(params.userAttributes, {
+        'graphql.error.code': 'GRAPHQL_PARSE_FAILED',
+        'graphql.error.locations': /^\d+:\d+$/
+      })
+      t.notOk(params.userAttributes['graphql.error.path'])
+      assertErrorCodeMetric(t, helper.agent, transaction, 'GRAPHQL_PARSE_FAILED')
     })
 
     executeQuery(serverUrl, invalidQuery, (err, result) => {
@@ -91,8 +98,7 @@ function createErrorTests(t, _, isApollo4) {
       }
     }`
 
-    const deepestPath = 'libraries.books.doesnotexist.name'
-    const expectedOperationName = `${OPERATION_PREFIX}/query/${ANON_PLACEHOLDER}/${deepestPath}`
+    const expectedOperationName = `${OPERATION_PREFIX}/validationError`
 
     helper.agent.once('transactionFinished', (transaction) => {
       const errorTraces = agentTesting.getErrorTraces(helper.agent)
@@ -115,6 +121,12 @@ function createErrorTests(t, _, isApollo4) {
       t.equal(intrinsics.name, expectedOperationName)
       t.equal(attributes['error.message'], expectedErrorMessage)
       t.equal(attributes['error.class'], expectedErrorType)
+
+      t.match(params.userAttributes, {
+        'graphql.error.code': 'GRAPHQL_VALIDATION_FAILED',
+        'graphql.error.locations': '4:11'
+      })
+      assertErrorCodeMetric(t, helper.agent, transaction, 'GRAPHQL_VALIDATION_FAILED')
     })
 
     executeQuery(serverUrl, invalidQuery, (err, result) => {
@@ -165,6 +177,13 @@ function createErrorTests(t, _, isApollo4) {
       t.equal(intrinsics.name, expectedResolveName)
       t.equal(attributes['error.message'], expectedErrorMessage)
       t.equal(attributes['error.class'], expectedErrorType)
+
+      t.same(params.userAttributes, {
+        'graphql.error.code': 'INTERNAL_SERVER_ERROR',
+        'graphql.error.path': 'boom',
+        'graphql.error.locations': '2:7'
+      })
+      assertErrorCodeMetric(t, helper.agent, transaction, 'INTERNAL_SERVER_ERROR')
     })
 
     executeQuery(serverUrl, invalidQuery, (err, result) => {
@@ -230,6 +249,9 @@ function createErrorTests(t, _, isApollo4) {
         const { attributes } = matchingSpan
         t.equal(attributes['error.message'], expectedErrorMessage)
         t.equal(attributes['error.class'], expectedErrorType)
+
+        t.match(params.userAttributes, { 'graphql.error.code': code, 'graphql.error.path': name })
+        assertErrorCodeMetric(t, helper.agent, transaction, code)
       })
 
       executeQuery(serverUrl, invalidQuery, (err, result) => {
@@ -288,6 +310,14 @@ function createErrorTests(t, _, isApollo4) {
   })
 }
 
+function assertErrorCodeMetric(t, agent, transaction, code) {
+  const metricName = `${ERRORS_PREFIX}/${code}`
+
+  const scopedMetric = agent.metrics.getMetric(metricName, transaction.name)
+  t.equal(scopedMetric && scopedMetric.callCount, 1, `should record scoped ${metricName}`)
+  t.ok(agent.metrics.getMetric(metricName), `should record ${metricName}`)
+}
+
 module.exports = {
   suiteName: 'errors',
   createTests: createErrorTests
@@ -730,7 +730,7 @@ function createSegmentsTests(t, frameworkName, isApollo4) {
   })
 
   // if parse succeeds but validation fails, there will not be a resolved operation
-  // but the document/AST can still be leveraged for what was intended.
+  // and the operation segment is not named from the invalid document.
   t.test('when cannot validate, should include operation segment', (t) => {
     const { helper, serverUrl } = t.context
 
@@ -745,10 +745,8 @@ function createSegmentsTests(t, frameworkName, isApollo4) {
       }
     }`
 
-    const path = 'libraries.books'
-
     helper.agent.once('transactionFinished', (transaction) => {
-      const operationPart = `query/${ANON_PLACEHOLDER}/${path}`
+      const operationPart = 'validationError'
       const expectedSegments = baseSegment('*')
       const operationSegments = [
         {
@@ -5,10 +5,12 @@
 
 'use strict'
 
-const { executeQuery, executeQueryBatch } = require('../test-client')
+const { executeJson, executeQuery, executeQueryBatch, makeRequest } = require('../test-client')
+const { findSegmentByName } = require('../agent-testing')
 const { checkResult } = require('./common')
 
 const ANON_PLACEHOLDER = '<anonymous>'
+const OPERATION_PREFIX = 'GraphQL/operation/ApolloServer'
 
 /**
  * Creates a set of standard transaction tests to run against various
@@ -16,7 +18,7 @@ const ANON_PLACEHOLDER = '<anonymous>'
  * It is required that t.context.helper and t.context.serverUrl are set.
  * @param {*} t a tap test instance
  */
-function createTransactionTests(t, frameworkName) {
+function createTransactionTests(t, frameworkName, isApollo4) {
   const EXPECTED_PREFIX = `WebTransaction/${frameworkName}/POST`
 
   t.test('anonymous query, single level, should use anonymous placeholder', (t) => {
@@ -554,7 +556,7 @@ function createTransactionTests(t, frameworkName) {
   })
 
   // there will be no document/AST nor resolved operation
-  t.test('if the query cannot be parsed, should be named /*', (t) => {
+  t.test('if the query cannot be parsed, should be named /GraphQL/parseError', (t) => {
     const { helper, serverUrl } = t.context
 
     const invalidQuery = `query {
@@ -569,7 +571,7 @@ function createTransactionTests(t, frameworkName) {
     ` // missing closing }
 
     helper.agent.once('transactionFinished', (transaction) => {
-      t.equal(transaction.name, `${EXPECTED_PREFIX}//*`)
+      t.equal(transaction.name, `${EXPECTED_PREFIX}//GraphQL/parseError`)
     })
 
     executeQuery(serverUrl, invalidQuery, (err, result) => {
@@ -586,9 +588,42 @@ function createTransactionTests(t, frameworkName) {
     })
   })
 
+  t.test('if the request has no query, should be named /GraphQL/invalidRequest', (t) => {
+    const { helper, serverUrl } = t.context
+
+    helper.agent.once('transactionFinished', (transaction) => {
+      t.equal(transaction.name, `${EXPECTED_PREFIX}//GraphQL/invalidRequest`)
+    })
+
+    executeJson(serverUrl, { variables: {} }, (err, result) => {
+      t.error(err)
+      t.ok(result.errors)
+      t.end()
+    })
+  })
+
+  // Earlier versions reject GET requests without a query before invoking plugins.
+  t.test(
+    'if a GET request has no query, should be named /GraphQL/invalidRequest',
+    { skip: !isApollo4 },
+    (t) => {
+      const { helper, serverUrl } = t.context
+
+      helper.agent.once('transactionFinished', (transaction) => {
+        t.equal(transaction.name, `WebTransaction/${frameworkName}/GET//GraphQL/invalidRequest`)
+      })
+
+      makeRequest(serverUrl, null, (err, result) => {
+        t.error(err)
+        t.ok(result.errors)
+        t.end()
+      })
+    }
+  )
+
   // if parse succeeds but validation fails, there will not be a resolved operation
-  // but the document/AST can still be leveraged for what was intended.
-  t.test('anonymous query, when cant validate, should use document/AST', (t) => {
+  // and the transaction is named by the outcome.
+  t.test('anonymous query, when cant validate, should be named /GraphQL/validationError', (t) => {
     const { helper, serverUrl } = t.context
 
     const invalidQuery = `query {
@@ -601,10 +636,8 @@ function createTransactionTests(t, frameworkName) {
       }
     }`
 
-    const path = 'libraries.books.doesnotexist.name'
-
     helper.agent.once('transactionFinished', (transaction) => {
-      t.equal(transaction.name, `${EXPECTED_PREFIX}//query/${ANON_PLACEHOLDER}/${path}`)
+      t.equal(transaction.name, `${EXPECTED_PREFIX}//GraphQL/validationError`)
     })
 
     executeQuery(serverUrl, invalidQuery, (err, result) => {
@@ -622,8 +655,8 @@ function createTransactionTests(t, frameworkName) {
   })
 
   // if parse succeeds but validation fails, there will not be a resolved operation
-  // but the document/AST can still be leveraged for what was intended.
-  t.test('named query, when cant validate, should use document/AST', (t) => {
+  // and the transaction is named by the outcome.
+  t.test('named query, when cant validate, should be named /GraphQL/validationError', (t) => {
     const { helper, serverUrl } = t.context
 
     const expectedName = 'FailsToValidate'
@@ -637,10 +670,12 @@ function createTransactionTests(t, frameworkName) {
       }
     }`
 
-    const path = 'libraries.books.doesnotexist.name'
-
     helper.agent.once('transactionFinished', (transaction) => {
-      t.equal(transaction.name, `${EXPECTED_PREFIX}//query/${expectedName}/${path}`)
+      t.equal(transaction.name, `${EXPECTED_PREFIX}//GraphQL/validationError`)
+
+      // The operation segment is not named from the invalid document.
+      const operationName = `${OPERATION_PREFIX}/validationError`
+      t.ok(findSegmentByName(transaction.trace.root, operationName))
     })
 
     executeQuery(serverUrl, invalidQuery, (err, result) => {